@@ -0,0 +1,217 @@
+import { normalizePath } from './path.js';
+import { serializeValue } from './types.js';
+
+const findDescriptor = (object, property) => {
+  while (object) {
+    const descriptor = Object.getOwnPropertyDescriptor(object, property);
+
+    if (descriptor) { return descriptor; }
+
+    object = Object.getPrototypeOf(object);
+  }
+
+  return null;
+}
+
+const watchers = new WeakMap();
+
+const hasNodes = (records, key) => records.some(record => record[key] && record[key].length);
+
+const watch = (document, binding) => {
+  if (!watchers.has(document)) {
+    const bindings = new Set();
+    const observer = new MutationObserver(records => {
+      const isAdded = hasNodes(records, 'addedNodes');
+      const isRemoved = hasNodes(records, 'removedNodes');
+
+      bindings.forEach(item => item._updateConnection(isAdded, isRemoved));
+    });
+
+    observer.observe(document, { childList: true, subtree: true });
+    watchers.set(document, { bindings, observer });
+  }
+
+  const watcher = watchers.get(document);
+
+  watcher.bindings.add(binding);
+
+  return watcher;
+}
+
+const unwatch = (document, binding) => {
+  const watcher = watchers.get(document);
+
+  if (!watcher) { return; }
+
+  watcher.bindings.delete(binding);
+
+  if (!watcher.bindings.size) {
+    watcher.observer.disconnect();
+    watchers.delete(document);
+  }
+}
+
+export default class Binding {
+  constructor(state, element, mapping) {
+    this._state = state;
+    this._element = element;
+    this._bindings = Object.keys(mapping).map(name => this._createBinding(name, mapping[name]));
+    this._subscriptions = [];
+    this._originals = {};
+    this._observers = [];
+    this._watcher = null;
+    this._isConnected = false;
+    this._isBound = true;
+
+    this._bindings.forEach(binding => this._bind(binding));
+    this._observe();
+  }
+
+  unbind() {
+    if (!this._isBound) { return; }
+
+    this._isBound = false;
+    this._subscriptions.forEach(subscription => subscription.unsubscribe());
+    this._subscriptions = [];
+    this._observers.forEach(observer => observer.disconnect());
+    this._observers = [];
+
+    if (this._watcher) {
+      unwatch(this._element.ownerDocument, this);
+      this._watcher = null;
+    }
+
+    Object.keys(this._originals).forEach(key => {
+      const descriptor = this._originals[key];
+
+      if (descriptor) {
+        Object.defineProperty(this._element, key, descriptor);
+      } else {
+        delete this._element[key];
+      }
+    });
+  }
+
+  _createBinding(name, options) {
+    const binding = options && typeof options === 'object' && !Array.isArray(options) ? options : { path: options };
+    const path = normalizePath(binding.path);
+
+    return binding.property ?
+      { path, property: name, descriptor: findDescriptor(Object.getPrototypeOf(this._element), name) } :
+      { path, attribute: binding.attribute || name };
+  }
+
+  _observe() {
+    if (typeof MutationObserver !== 'function') { return; }
+
+    const element = this._element;
+    const attributes = this._bindings.filter(binding => binding.attribute).map(binding => binding.attribute);
+
+    if (attributes.length) {
+      this._attributeObserver = new MutationObserver(records => this._handleMutations(records));
+      this._attributeObserver.observe(element, { attributes: true, attributeFilter: attributes });
+      this._observers.push(this._attributeObserver);
+    }
+
+    if (element.ownerDocument) {
+      this._watcher = watch(element.ownerDocument, this);
+      this._updateConnection(true, false);
+    }
+  }
+
+  _updateConnection(isAdded, isRemoved) {
+    if (this._isConnected ? !isRemoved : !isAdded) { return; }
+
+    const element = this._element;
+
+    if (!element.isConnected) {
+      if (this._isConnected) { this.unbind(); }
+      return;
+    }
+
+    const root = element.getRootNode();
+
+    this._isConnected = true;
+
+    if (root !== element.ownerDocument) {
+      this._watcher.observer.observe(root, { childList: true, subtree: true });
+    }
+  }
+
+  _bind(binding) {
+    if (binding.property) {
+      this._bindProperty(binding);
+    } else if (this._state.get(binding.path) === undefined && this._element.hasAttribute(binding.attribute)) {
+      this._state.set(binding.path, this._element.getAttribute(binding.attribute));
+    }
+
+    this._render(binding, this._state.get(binding.path));
+    this._subscriptions.push(this._state.subscribe(binding.path, value => this._render(binding, value)));
+  }
+
+  _bindProperty(binding) {
+    const { path, property } = binding;
+    const initialValue = this._element[property];
+
+    this._override(property, {
+      configurable: true,
+      enumerable: true,
+      get: () => this._state.get(path),
+      set: value => this._state.set(path, value)
+    });
+
+    if (initialValue !== undefined && this._state.get(path) === undefined) {
+      this._state.set(path, initialValue);
+    }
+  }
+
+  _override(key, value) {
+    const element = this._element;
+
+    if (!(key in this._originals)) {
+      this._originals[key] = Object.prototype.hasOwnProperty.call(element, key) ?
+        Object.getOwnPropertyDescriptor(element, key) : null;
+    }
+
+    Object.defineProperty(element, key, value);
+  }
+
+  _handleMutations(records) {
+    records.forEach(record => this._handleAttributeChange(record.attributeName, this._element.getAttribute(record.attributeName)));
+  }
+
+  _handleAttributeChange(name, value) {
+    if (!this._isBound) { return; }
+
+    this._bindings
+      .filter(binding => binding.attribute === name)
+      .forEach(binding => this._state.set(binding.path, value));
+  }
+
+  _render(binding, value) {
+    if (binding.property) {
+      if (binding.descriptor && binding.descriptor.set) { binding.descriptor.set.call(this._element, value); }
+    } else if (value === undefined || value === null || value === false) {
+      this._element.removeAttribute(binding.attribute);
+    } else {
+      this._element.setAttribute(binding.attribute, this._serialize(binding.path, value));
+    }
+
+    this._skipRecords(binding.attribute);
+  }
+
+  _skipRecords(attribute) {
+    if (!this._attributeObserver) { return; }
+
+    this._handleMutations(this._attributeObserver.takeRecords().filter(record => record.attributeName !== attribute));
+  }
+
+  _serialize(path, value) {
+    const options = this._state._getOptions(path);
+
+    if (value === true) { return ''; }
+    if (options && options.type) { value = serializeValue(value, options.type); }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
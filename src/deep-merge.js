@@ -6,7 +6,7 @@ export const deepMerge = (target, ...sources) => {
   if (!sources.length) { return target; }
   const source = sources.shift();
 
-  if (isPlainObject(target) && isPlainObject(source)) {
+  if ((isPlainObject(target) || Array.isArray(target)) && isPlainObject(source)) {
     for (const key in source) {
       if (isPlainObject(source[key])) {
         if (!target[key]) {
@@ -22,3 +22,61 @@ export const deepMerge = (target, ...sources) => {
 
   return deepMerge(target, ...sources);
 }
+
+export const deepClone = item => {
+  if (Array.isArray(item)) { return item.map(deepClone); }
+
+  if (isPlainObject(item)) {
+    return Object.keys(item).reduce((result, key) => {
+      result[key] = deepClone(item[key]);
+      return result;
+    }, {});
+  }
+
+  return item;
+}
+
+export const setIn = (target, keys, value) => {
+  if (!keys.length) { return value; }
+
+  const [key, ...restKeys] = keys;
+  const result = Array.isArray(target) ? target.slice() : { ...(isPlainObject(target) ? target : {}) };
+
+  if (value === undefined && !restKeys.length) {
+    delete result[key];
+  } else {
+    result[key] = setIn(result[key], restKeys, value);
+  }
+
+  return result;
+}
+
+export const mergeImmutable = (target, source) => {
+  if (!isPlainObject(source)) { return source; }
+
+  const base = isPlainObject(target) || Array.isArray(target) ? target : {};
+  let result = base;
+
+  for (const key in source) {
+    const value = isPlainObject(source[key]) ? mergeImmutable(base[key], source[key]) : source[key];
+
+    if (value !== result[key] || !(key in result)) {
+      if (result === base) {
+        result = Array.isArray(base) ? base.slice() : { ...base };
+      }
+
+      result[key] = value;
+    }
+  }
+
+  return result === target ? target : result;
+}
+
+export const deepFreeze = item => {
+  if ((isPlainObject(item) || Array.isArray(item)) && !Object.isFrozen(item)) {
+    Object.freeze(item);
+    Object.keys(item).forEach(key => deepFreeze(item[key]));
+  }
+
+  return item;
+}
@@ -0,0 +1,37 @@
+import { isPlainObject } from './deep-merge.js';
+
+const isComparable = (a, b) => {
+  return (Array.isArray(a) && Array.isArray(b)) || (isPlainObject(a) && isPlainObject(b));
+}
+
+export const referenceEqual = (a, b) => a === b || (a !== a && b !== b);
+
+export const shallowEqual = (a, b) => {
+  if (referenceEqual(a, b)) { return true; }
+  if (!isComparable(a, b)) { return false; }
+
+  const keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length && keys.every(key => key in b && referenceEqual(a[key], b[key]));
+}
+
+export const deepEqual = (a, b) => {
+  if (referenceEqual(a, b)) { return true; }
+
+  if (a instanceof Date && b instanceof Date) { return a.getTime() === b.getTime(); }
+  if (!isComparable(a, b)) { return false; }
+
+  const keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length && keys.every(key => key in b && deepEqual(a[key], b[key]));
+}
+
+export const getComparator = equals => {
+  if (typeof equals === 'function') { return equals; }
+
+  switch (equals) {
+    case 'shallow': return shallowEqual;
+    case 'deep': return deepEqual;
+    default: return referenceEqual;
+  }
+}
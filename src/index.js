@@ -1,228 +1,1506 @@
-import camelcaseKeys from 'camelcase-keys-recursive';
-import { deepMerge, isPlainObject } from './deep-merge.js';
+import { deepMerge, deepClone, deepFreeze, isPlainObject, mergeImmutable, setIn } from './deep-merge.js';
+import { getSubSchema, validateSchema } from './schema.js';
+import Binding from './binding.js';
+import Inspector from './inspector.js';
+import Persistence from './persistence.js';
+import SubscriptionRegistry from './registry.js';
+import Scope from './scope.js';
+import Selector from './selector.js';
+import Sync from './sync.js';
+import { Effect, createReactive } from './reactive.js';
+import { getComparator } from './equality.js';
+import { appendPath, formatPath, getArrayPaths, normalizePath, parsePath } from './path.js';
+import { createMatcher, isPattern } from './pattern.js';
+import { decode, encode, registerClass, registerFunction } from './serialize.js';
+import { getItemType, parseValue, registerType } from './types.js';
+
+export { MemoryAdapter, StorageAdapter, AsyncAdapter } from './persistence.js';
+
+const isProduction = () => {
+  try { return process.env.NODE_ENV === 'production'; } catch(error) { return false; }
+}
 
 export default class State {
-  constructor(defaults = {}) {
-    this._subscriptions = [];
+  constructor(defaults = {}, config = {}) {
+    this._registry = new SubscriptionRegistry();
     this._data = {};
+    this._isImmutable = !!config.immutable;
+    this._isFrozen = this._isImmutable && (config.freeze !== undefined ? !!config.freeze : !isProduction());
     this._options = {};
+    this._optionsCache = new Map();
+    this._accessPaths = null;
+    this._schemaPaths = null;
+    this._locks = {};
+    this._transaction = null;
+    this._pendingTransactions = 0;
+    this._revision = 0;
+    this._scheduler = this._createScheduler(config.scheduler);
+    this._pendingNotification = null;
+    this._computed = {};
+    this._history = this._createHistory(config.history);
+    this._validationErrorCallbacks = [];
+    this._middlewares = [];
+    this._dispatchListeners = [];
+    this._mutationListeners = [];
+    this._requests = {};
+    this._trackers = [];
+    this._strict = config.strict && !isProduction() ? (config.strict === 'throw' ? 'throw' : 'warn') : null;
+    this._declaredPaths = new Set();
+    this._declaredPrefixes = new Set();
+    this._strictWarnings = new Set();
     this._defaultOptions = {
       defaultValue: undefined,
       triggerSubscriptionCallback: undefined,
       isFunction: false,
-      sameReferenceCheck: true
+      sameReferenceCheck: true,
+      validation: config.validation || 'coerce',
+      access: config.access || 'throw'
     };
 
+    this._declareDefaults(defaults);
+    this.persistence = config.persist ? new Persistence(this, config.persist) : null;
+
+    if (this.persistence) {
+      this.persistence.hydrate();
+    }
+
     this._setDefaults(defaults);
+    this._setSchema(config.schema);
+    this._initialOptions = { ...this._options };
+  }
+
+  static registerClass(name, Class, options) {
+    registerClass(name, Class, options);
+  }
+
+  static registerFunction(name, callback) {
+    registerFunction(name, callback);
+  }
+
+  static registerType(name, definition) {
+    registerType(name, definition);
+  }
+
+  static deserialize(payload, config = {}) {
+    const { data, options } = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    const state = new State({}, config);
+
+    state._load(decode(data), decode(options));
+
+    return state;
   }
 
   get(name) {
+    name = normalizePath(name);
+
+    this._checkDeclared(name);
+    this._track(name);
+
+    const computedName = this._findComputedName(name);
+
+    if (computedName) {
+      return this._get(name.slice(computedName.length + 1), this._getComputedValue(computedName));
+    }
+
     return this._get(name, this._data);
   }
 
   set(name, value, options = {}) {
-    if (typeof name === 'object') {
+    if (typeof name === 'object' && !Array.isArray(name)) {
       return this._setMultiple(name, value);
     }
 
+    const arrayPaths = getArrayPaths(name);
+
+    name = normalizePath(name);
+
     if (options.defaultValue !== undefined) {
+      const current = this._get(name, this._data);
+      const accessError = this._checkAccess(name, value, { oldValue: current, options, origin: 'set' });
+
+      if (accessError) { return { name, value: current, errors: [accessError] }; }
+
       this.setOptions(name, { defaultValue: options.defaultValue });
     }
 
-    const stateOptions = this._getOptions(name);
+    this._checkDeclared(name);
+
     const oldValue = this._get(name, this._data);
 
     if (typeof value === 'function' && options.isFunction) {
       value = value(oldValue, this._getDefaultValue(name));
     }
 
-    value = this._transformValue(value, oldValue, stateOptions);
+    return this._runMiddlewares({ name, value, oldValue, options, state: this }, context => {
+      return this._write(context.name, context.value, context.options, { arrayPaths });
+    });
+  }
 
-    const modifiedData = name.split('.').reduceRight((previous, current) => ({ [current]: previous }), value);
-    const sameReferenceCheck = stateOptions && stateOptions.sameReferenceCheck;
+  push(name, ...items) {
+    name = normalizePath(name);
 
-    if (sameReferenceCheck && this._get(name, this._data) === this._get(name, modifiedData)) { return { name, value }; }
+    return this._splice(name, this._getArray(name).length, 0, items, 'push');
+  }
 
-    this._data = deepMerge(this._data, modifiedData);
+  insert(name, index, item, options = {}) {
+    name = normalizePath(name);
 
-    if (options.triggerSubscriptionCallback === undefined || options.triggerSubscriptionCallback) {
-      this._triggerSubscriptionCallbacks(name, modifiedData, options);
+    return this._splice(name, index, 0, [item], 'insert', options);
+  }
+
+  remove(name, indexOrPredicate, options = {}) {
+    name = normalizePath(name);
+
+    const array = this._getArray(name);
+    const indexes = typeof indexOrPredicate === 'function' ?
+      array.reduce((list, item, index) => indexOrPredicate(item, index) ? [...list, index] : list, []) :
+      [indexOrPredicate < 0 ? array.length + indexOrPredicate : indexOrPredicate].filter(index => index >= 0 && index < array.length);
+
+    if (!indexes.length) { return { name, value: this._get(name, this._data) }; }
+
+    const arrayChanges = indexes.reverse().map(index => ({
+      operation: 'remove', index, removed: array.splice(index, 1), added: []
+    }));
+
+    return this._setArray(name, array, arrayChanges, options);
+  }
+
+  move(name, from, to, options = {}) {
+    name = normalizePath(name);
+
+    const array = this._getArray(name);
+    const index = Math.min(Math.max(to, 0), array.length - 1);
+
+    if (from < 0 || from >= array.length || from === index) { return { name, value: this._get(name, this._data) }; }
+
+    const [item] = array.splice(from, 1);
+
+    array.splice(index, 0, item);
+
+    return this._setArray(name, array, [{ operation: 'move', from, to: index }], options);
+  }
+
+  splice(name, start, deleteCount, ...items) {
+    name = normalizePath(name);
+
+    return this._splice(name, start, deleteCount, items, 'splice');
+  }
+
+  unset(name, options = {}) {
+    name = normalizePath(name);
+
+    const nameParts = parsePath(name);
+    const key = nameParts.pop();
+    const parent = this._get(formatPath(nameParts), this._data);
+
+    if (!parent || typeof parent !== 'object' || !(key in parent)) { return false; }
+
+    this._checkComputedWrite(name);
+
+    if (this._checkAccess(name, undefined, { oldValue: parent[key], options, origin: 'unset' })) { return false; }
+
+    this._replaceValue(options.prune ? this._getPrunedName(name) : name, undefined, options, 'unset');
+
+    return true;
+  }
+
+  reset(name, options = {}) {
+    name = normalizePath(name);
+
+    const defaults = this._getDefaults();
+
+    if (name) {
+      this._resetValue(name, this._get(name, defaults), options);
+      return;
+    }
+
+    this._runTransaction(() => {
+      const data = this._protectData(defaults, 'reset');
+
+      Object.keys({ ...this._data, ...data }).forEach(key => this._replaceValue(formatPath([key]), data[key], options, 'reset'));
+    }, options, 'reset');
+  }
+
+  resetOptions(name) {
+    name = normalizePath(name);
+
+    const isAffected = optionName => !name || optionName === name || optionName.indexOf(`${name}.`) === 0;
+
+    this._trackTransactionPath(name);
+    Object.keys(this._options).filter(isAffected).forEach(optionName => {
+      const accessOptions = this._getAccessOptions(optionName);
+
+      if (Object.keys(accessOptions).length) {
+        this._options[optionName] = accessOptions;
+      } else {
+        delete this._options[optionName];
+      }
+    });
+    this._clearOptionsCache();
+    Object.keys(this._initialOptions).filter(isAffected).forEach(optionName => {
+      this.setOptions(optionName, this._initialOptions[optionName]);
+    });
+
+    this._triggerSubscriptionCallbacks({
+      name, modifiedData: name ? this._createModifiedData(name, this.get(name)) : false
+    }, 'resetOptions');
+  }
+
+  load(name, fetcher, options = {}) {
+    name = normalizePath(name);
+
+    const current = this._get(name, this._data);
+    const hasData = current && current.status === 'success';
+
+    if (this._checkAccess(name, undefined, { oldValue: current, options, origin: 'load' })) {
+      return Promise.resolve(current);
+    }
+
+    if (options.ttl && hasData && Date.now() - current.updatedAt < options.ttl) {
+      return Promise.resolve(current);
+    }
+
+    if (this._requests[name] && this._requests[name].controller) {
+      this._requests[name].controller.abort();
     }
 
-    return { name, value };
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const request = { controller };
+    const data = options.staleWhileRevalidate && current ? current.data : undefined;
+    const settle = envelope => {
+      if (this._requests[name] !== request) { return this._get(name, this._data); }
+
+      delete this._requests[name];
+
+      if (this._checkAccess(name, envelope.data, { oldValue: this._get(name, this._data), options, origin: 'load' })) {
+        return this._get(name, this._data);
+      }
+
+      return this._setEnvelope(name, { ...envelope, updatedAt: Date.now() });
+    };
+
+    this._requests[name] = request;
+    this._setEnvelope(name, { status: 'loading', data, error: null, updatedAt: Date.now() });
+
+    return new Promise(resolve => resolve(fetcher(controller ? controller.signal : undefined))).then(
+      result => settle({ status: 'success', data: result, error: null }),
+      error => settle({ status: 'error', data, error })
+    );
   }
 
   setOptions(name, options) {
-    this._options[name] = options;
+    name = normalizePath(name);
 
-    if (options.defaultValue !== undefined && this.get(name) === undefined) {
-      const modifiedData = name.split('.').reduceRight((previous, current) => ({ [current]: previous }), options.defaultValue);
-      this._data = deepMerge(this._data, modifiedData);
+    const shouldMerge = options.defaultValue !== undefined && this.get(name) === undefined;
+    const accessError = shouldMerge &&
+      this._checkAccess(name, options.defaultValue, { oldValue: undefined, options: {}, origin: 'setOptions' });
+
+    this._trackTransactionPath(name);
+    this._options[name] = { ...options, ...this._getAccessOptions(name) };
+    this._clearOptionsCache();
+    this._declare(name);
+
+    if (shouldMerge && !accessError) {
+      this._mergeData(this._createModifiedData(name, options.defaultValue));
+      this._invalidateComputed(name);
+    }
+  }
+
+  lock(name) {
+    name = normalizePath(name);
+
+    if (!this._getAccessPaths().some(path => this._isRelatedName(path, name) && this._options[path].lockable)) {
+      throw new Error(`Path "${name}" is not lockable`);
     }
+
+    if (this._locks[name]) { throw new Error(`Path "${name}" is already locked`); }
+
+    const token = Symbol(name);
+
+    this._locks[name] = token;
+
+    return token;
+  }
+
+  unlock(name, token) {
+    name = normalizePath(name);
+
+    if (!this._locks[name] || this._locks[name] !== token) { throw new Error(`Invalid token for "${name}"`); }
+
+    delete this._locks[name];
+  }
+
+  isLocked(name) {
+    name = normalizePath(name);
+
+    return Object.keys(this._locks).some(path => this._isRelatedName(path, name));
   }
 
   getDefaultValue(name) {
+    name = normalizePath(name);
+
     return this._getDefaultValue(name);
   }
 
-  subscribe(name, callback) {
+  subscribe(name, callback, options = {}) {
     const id = Symbol();
 
     if (Array.isArray(name)) {
       name.forEach(value => {
-        const subscription = { id, name: value, callback };
-        this._subscriptions.push(subscription);
+        this._addSubscription(this._createSubscription(id, normalizePath(value), callback, options));
       });
     } else {
-      const subscription = { id, name, callback };
-      this._subscriptions.push(subscription);
+      this._addSubscription(this._createSubscription(id, normalizePath(name), callback, options));
     }
 
     return { unsubscribe: this._unsubscribe.bind(this, id) };
   }
 
   unsubscribeAll(name) {
-    this._subscriptions.forEach((subscription, index) => {
-      if (subscription.name === name) {
-        delete this._subscriptions[index];
+    name = normalizePath(name);
+
+    this._registry.removeByName(name);
+  }
+
+  use(middleware) {
+    this._middlewares.push(middleware);
+
+    return {
+      remove: () => {
+        this._middlewares = this._middlewares.filter(item => item !== middleware);
       }
-    });
+    };
+  }
+
+  onValidationError(callback) {
+    this._validationErrorCallbacks.push(callback);
+
+    return {
+      unsubscribe: () => {
+        this._validationErrorCallbacks = this._validationErrorCallbacks.filter(item => item !== callback);
+      }
+    };
+  }
+
+  select(selector, options) {
+    return new Selector(this, selector, options);
+  }
+
+  reactive() {
+    return createReactive(this);
+  }
+
+  effect(callback) {
+    const effect = new Effect(this, callback);
+
+    return { dispose: () => effect.dispose() };
+  }
+
+  bindElement(element, mapping) {
+    const binding = new Binding(this, element, mapping);
+
+    return { unbind: () => binding.unbind() };
+  }
+
+  inspect(options) {
+    return new Inspector(this, options);
+  }
+
+  sync(channel, options) {
+    return new Sync(this, channel, options);
+  }
+
+  scope(prefix) {
+    return new Scope(this, normalizePath(prefix));
   }
 
   triggerSubscriptionCallbacks(name, options) {
-    this._triggerSubscriptionCallbacks(name, false, options);
+    name = normalizePath(name);
+
+    this._triggerSubscriptionCallbacks({ name, modifiedData: false, options }, 'trigger');
   }
 
-  _get(name, data) {
-    return name ? name.split('.').reduce((item, index) => item ? item[index] : undefined, data) : data;
+  serialize() {
+    return JSON.stringify(this.toJSON());
   }
 
-  _setMultiple(list, options = {}) {
-    const result = Object.keys(list).map(name => this.set(name, list[name], {
-      ...options, triggerSubscriptionCallback: false
-    }));
+  toJSON() {
+    return {
+      data: encode(this._data),
+      options: encode(this._options)
+    };
+  }
+
+  snapshot() {
+    return this._isImmutable ? this._data : deepClone(this._data);
+  }
 
-    this._triggerSubscriptionCallbacks();
+  flush() {
+    const notification = this._pendingNotification;
 
-    return result;
+    if (!notification) { return; }
+
+    this._pendingNotification = null;
+    this._dispatch(notification.changes, notification.origin);
   }
 
-  _setDefaults(defaults) {
-    const modifiedData = this._objectToDotNotation(defaults);
+  transaction(callback, options = {}) {
+    return this._runTransaction(callback, options, 'transaction');
+  }
 
-    Object.keys(modifiedData).forEach(key => this.setOptions(key, { defaultValue: modifiedData[key] }));
+  computed(name, dependencies, callback) {
+    name = normalizePath(name);
+
+    this._declare(name);
+    this._computed[name] = { dependencies: dependencies.map(normalizePath), callback, isDirty: true, value: undefined };
+    this._computed[name].notifiedValue = this._getComputedValue(name);
   }
 
-  _getDefaultValue(name) {
-    const options = this._getOptions(name);
+  undo() {
+    if (!this.canUndo()) { return false; }
 
-    if (!options) { return; }
+    const past = this._history.past;
 
-    return options.defaultValue;
+    if (!this._canRestoreHistory(past[past.length - 1], 'oldValue', 'undo')) { return false; }
+
+    const entries = past.pop();
+
+    this._history.future.push(entries);
+    this._restoreHistory(entries.slice().reverse(), 'oldValue', 'undo');
+
+    return true;
   }
 
-  _hasSubArray(master, sub) {
-    return sub.every((i => v => i = master.indexOf(v, i) + 1)(0));
-  };
+  redo() {
+    if (!this.canRedo()) { return false; }
 
-  _triggerSubscriptionCallbacks(name, modifiedData, options) {
-    if (!this._subscriptions) { return; }
+    const future = this._history.future;
 
-    const modifiedKeys = typeof modifiedData === 'object' && modifiedData.constructor === Object ?
-      Object.keys(this._objectToDotNotation(modifiedData)) : [];
+    if (!this._canRestoreHistory(future[future.length - 1], 'value', 'redo')) { return false; }
 
-    this._subscriptions.forEach(subscription => {
-      if (!name || !subscription.name || this._hasSubArray(name.split('.'), subscription.name.split('.')) || modifiedKeys.indexOf(subscription.name) !== -1) {
-        subscription.callback(this._get(subscription.name, this._data), subscription.name, options);
-      }
-    });
+    const entries = future.pop();
+
+    this._history.past.push(entries);
+    this._restoreHistory(entries, 'value', 'redo');
+
+    return true;
   }
 
-  _unsubscribe(id) {
-    this._subscriptions.forEach((subscription, index) => {
-      if (subscription.id === id) {
-        delete this._subscriptions[index];
-      }
-    });
+  canUndo() {
+    return !!this._history && this._history.past.length > 0;
   }
 
-  _objectToDotNotation(data, prefix = '', result = {}) {
-    return Object.entries(data).reduce((list, [key, value]) => {
-      const flattenedKey = `${prefix}${key}`;
+  canRedo() {
+    return !!this._history && this._history.future.length > 0;
+  }
 
-      if (isPlainObject(value)) {
-        this._objectToDotNotation(value, `${flattenedKey}.`, list);
-      } else {
-        result[flattenedKey] = value;
-      }
+  clearHistory() {
+    if (!this._history) { return; }
 
-      return list;
-    }, result);
+    this._history.past = [];
+    this._history.future = [];
   }
 
-  _getOptions(name) {
-    const options = Object.keys(this._options).filter(optionName => {
-      return !name ||
-        !optionName ||
-        this._hasSubArray(name.split('.'), optionName.split('.'))
-    });
+  _track(name) {
+    if (this._trackers.length) {
+      this._trackers[this._trackers.length - 1].add(name || '');
+    }
+  }
 
-    const optionsList = options.reduce((list, current) => {
-      list[current] = this._options[current];
-      return list;
-    }, {});
+  _untracked(callback) {
+    const trackers = this._trackers;
+
+    this._trackers = [];
+
+    try {
+      return callback();
+    } finally {
+      this._trackers = trackers;
+    }
+  }
+
+  _get(name, data) {
+    return name ? parsePath(name).reduce((item, index) => item ? item[index] : undefined, data) : data;
+  }
+
+  _write(name, value, options = {}, meta = {}) {
+    this._checkComputedWrite(name, value);
+
+    const stateOptions = this._getOptions(name);
+    const oldValue = this._get(name, this._data);
+    const accessError = this._checkAccess(name, value, { oldValue, options, origin: 'set' });
+
+    if (accessError) { return { name, value: oldValue, errors: [accessError] }; }
 
-    return this._findOptionsByName(name, optionsList);
+    const errors = [];
+    const rawValue = value;
+
+    if (meta.transform !== false) {
+      value = this._transformValue(value, oldValue, stateOptions, (rule, expected) => {
+        errors.push({ path: name, value: rawValue, rule, expected });
+      });
+    }
+    errors.push(...this._validate(name, value, oldValue));
+
+    if (errors.length) {
+      this._reportValidationErrors(errors, stateOptions.validation);
+
+      if (stateOptions.validation === 'reject') { return { name, value: oldValue, errors }; }
+    }
+
+    if (this._strict && isPlainObject(oldValue) && value !== null && value !== undefined && typeof value !== 'object') {
+      this._reportStrictViolation(`Replacing object at "${name}" with a primitive value`);
+    }
+
+    const result = errors.length ? { name, value, errors } : { name, value };
+    const modifiedData = this._createModifiedData(name, value);
+    const equals = stateOptions.equals || stateOptions.sameReferenceCheck ? getComparator(stateOptions.equals) : null;
+
+    if (equals && equals(this._get(name, this._data), this._get(name, modifiedData))) { return result; }
+
+    const historyEntry = this._isHistoryTracked(name) ? { name, oldValue: this._copy(oldValue), options } : null;
+    const shouldTrigger = options.triggerSubscriptionCallback === undefined || options.triggerSubscriptionCallback;
+    const previousValue = shouldTrigger || this._mutationListeners.length ? this._copy(oldValue) : undefined;
+
+    this._trackTransactionPath(name);
+    this._createArrays(meta.arrayPaths);
+    this._mergeData(modifiedData);
+    this._invalidateComputed(name);
+    this._emitMutation(name, previousValue, options, 'set');
+
+    if (historyEntry) {
+      this._recordHistory({ ...historyEntry, value: this._copy(this._get(name, this._data)) });
+    }
+
+    if (shouldTrigger) {
+      this._triggerSubscriptionCallbacks({
+        name, modifiedData, options, oldValue: previousValue, arrayChanges: meta.arrayChanges
+      }, 'set');
+    }
+
+    return result;
   }
 
-  _findOptionsByName(name, optionsList) {
-    let options = null;
-    const nameParts = name.split('.');
+  _checkAccess(name, value, context) {
+    const violation = this._findAccessViolation(name, value, context);
+
+    if (!violation) { return null; }
+
+    const { rule, path } = violation;
 
-    for (let index = 1; index <= nameParts.length; ++index) {
-      const partialName = nameParts.slice(0, index).join('.');
-      options = optionsList[partialName] || options;
+    if (this._getOptions(name).access !== 'reject') {
+      throw new Error(`Cannot write "${name}": "${path}" is ${rule === 'guard' ? 'guarded' : rule}`);
     }
 
-    return { ...this._defaultOptions, ...options };
+    return { path: name, value, rule, expected: path };
   }
 
-  _transformValue(value, oldValue, rule = {}) {
-    if (!rule) { return value; }
+  _findAccessViolation(name, value, context) {
+    const isAffected = path => !name || !path || path === name ||
+      name.indexOf(`${path}.`) === 0 || path.indexOf(`${name}.`) === 0;
+    const token = context.options.token || (this._transaction && this._transaction.token);
+    const lockedPath = Object.keys(this._locks).find(path => isAffected(path) && this._locks[path] !== token);
+
+    if (lockedPath !== undefined) { return { rule: 'locked', path: lockedPath }; }
+
+    const paths = this._getAccessPaths().filter(isAffected);
+
+    for (let index = 0; index < paths.length; ++index) {
+      const path = paths[index];
+      const { readonly, guard } = this._options[path];
 
-    switch (rule.type) {
-      case 'custom': {
-        value = rule.function(value, oldValue, rule.defaultValue);
-      } break;
-      case 'number': {
-        value = Number(value);
-        if (isNaN(value)) { value = 0; }
-      } break;
-      case 'integer': {
-        value = parseInt(value);
-        if (isNaN(value)) { value = 0; }
-      } break;
-      case 'float': {
-        value = parseFloat(value);
-        if (isNaN(value)) { value = 0; }
-      } break;
-      case 'boolean': value = this._toBoolean(value); break;
-      case 'json': {
-        if (typeof value !== 'string') { break; }
-
-        try { value = JSON.parse(value); } catch(error) {}
-        try { value = camelcaseKeys(value); } catch(error) {}
-      } break;
+      if (readonly) { return { rule: 'readonly', path }; }
+      if (guard && !guard(name, value, context)) { return { rule: 'guard', path }; }
     }
 
-    if (rule.allowedValues && rule.allowedValues.filter(allowedValue => value === allowedValue).length === 0) {
-      return rule.defaultValue !== undefined ? rule.defaultValue : null;
+    return null;
+  }
+
+  _getAccessOptions(name) {
+    const options = this._options[name] || {};
+
+    return ['readonly', 'lockable', 'guard'].reduce((result, key) => {
+      return options[key] ? { ...result, [key]: options[key] } : result;
+    }, {});
+  }
+
+  _getAccessPaths() {
+    if (!this._accessPaths) {
+      this._accessPaths = Object.keys(this._options).filter(path => {
+        const { readonly, lockable, guard } = this._options[path] || {};
+
+        return readonly || lockable || guard;
+      });
     }
 
-    return value;
+    return this._accessPaths;
+  }
+
+  _isWritable(name, value, origin) {
+    return !this._findAccessViolation(name, value, { oldValue: this._get(name, this._data), options: {}, origin });
+  }
+
+  _protectData(data, origin) {
+    const paths = Object.keys(this._locks).concat(this._getAccessPaths());
+
+    return paths.reduce((result, path) => {
+      if (!path || this._isWritable(path, this._get(path, result), origin)) { return result; }
+
+      return setIn(result, parsePath(path), this._get(path, this._data));
+    }, data);
+  }
+
+  _isRelatedName(ancestor, name) {
+    return !ancestor || ancestor === name || name.indexOf(`${ancestor}.`) === 0;
+  }
+
+  _resetValue(name, value, options) {
+    if (this._checkAccess(name, value, { oldValue: this._get(name, this._data), options, origin: 'reset' })) { return; }
+
+    this._replaceValue(name, value, options, 'reset');
+  }
+
+  _setEnvelope(name, envelope) {
+    this._replaceValue(name, envelope, {}, 'load', false);
+
+    return this._get(name, this._data);
+  }
+
+  _getArray(name) {
+    const value = this._get(name, this._data);
+
+    return Array.isArray(value) ? value.slice() : [];
+  }
+
+  _splice(name, start, deleteCount, items, operation, options = {}) {
+    const array = this._getArray(name);
+    const index = start < 0 ? Math.max(array.length + start, 0) : Math.min(start, array.length);
+    const added = items.map((item, offset) => this._transformValue(item, undefined, this._getItemOptions(name, index + offset)));
+    const removed = array.splice(index, deleteCount === undefined ? array.length - index : deleteCount, ...added);
+
+    return this._setArray(name, array, [{ operation, index, removed, added }], options);
   }
 
-  _toBoolean(value) {
-    return value !== undefined && value !== null && value !== false && value !== 'false';
+  _getItemOptions(name, index) {
+    const itemName = appendPath(name, index);
+    const options = this._getOptions(itemName);
+    const itemType = this._findOptionName(itemName) !== itemName && getItemType(options.type);
+
+    return itemType ? { type: itemType } : options;
+  }
+
+  _setArray(name, array, arrayChanges, options = {}) {
+    const context = { name, value: array, oldValue: this._get(name, this._data), options, state: this };
+
+    return this._runMiddlewares(context, ({ name, value, options }) => {
+      return this._write(name, value, options, { transform: false, arrayChanges });
+    });
+  }
+
+  _setMultiple(list, options = {}) {
+    return this._runTransaction(() => Object.keys(list).map(name => this.set(name, list[name], options)), options, 'batch');
+  }
+
+  _runMiddlewares(context, handler) {
+    const middlewares = this._middlewares.slice();
+    const dispatch = index => {
+      if (index === middlewares.length) { return handler(context); }
+
+      return middlewares[index](context, () => dispatch(index + 1));
+    };
+
+    return dispatch(0);
+  }
+
+  _runTransaction(callback, options, origin) {
+    if (this._transaction) { return callback(this._transaction.state); }
+
+    const transaction = {
+      token: options.token,
+      changes: [],
+      history: [],
+      mutations: [],
+      entries: [],
+      origin,
+      isOpen: true
+    };
+    let result;
+
+    transaction.state = this._createTransactionState(transaction);
+    this._transaction = transaction;
+
+    try {
+      result = callback(transaction.state);
+    } catch (error) {
+      this._rollbackTransaction(transaction);
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      this._transaction = null;
+      ++this._pendingTransactions;
+
+      return result.then(value => {
+        --this._pendingTransactions;
+        this._commitTransaction(transaction, options);
+        return value;
+      }, error => {
+        --this._pendingTransactions;
+        this._rollbackTransaction(transaction);
+        throw error;
+      });
+    }
+
+    this._commitTransaction(transaction, options);
+
+    return result;
+  }
+
+  _createTransactionState(transaction) {
+    return new Proxy(this, {
+      get: (target, key) => {
+        const value = target[key];
+
+        if (typeof value !== 'function') { return value; }
+
+        return (...args) => this._runInTransaction(transaction, () => value.apply(target, args));
+      }
+    });
+  }
+
+  _runInTransaction(transaction, callback) {
+    const current = this._transaction;
+
+    this._transaction = transaction.isOpen ? transaction : current;
+
+    try {
+      return callback();
+    } finally {
+      this._transaction = current;
+    }
+  }
+
+  _commitTransaction(transaction, options) {
+    this._transaction = null;
+    transaction.isOpen = false;
+
+    if (transaction.history.length) {
+      this._pushHistory(transaction.history);
+    }
+
+    transaction.mutations.forEach(mutation => this._callMutationListeners(mutation));
+
+    if (!transaction.changes.length) { return; }
+
+    const changes = transaction.changes.map(change => ({ ...change, options: { ...change.options, ...options } }));
+
+    this._notify(changes, transaction.origin);
+  }
+
+  _rollbackTransaction(transaction) {
+    this._transaction = null;
+    transaction.isOpen = false;
+    transaction.entries.slice().reverse().forEach(entry => this._restoreEntry(entry));
+    this._clearOptionsCache();
+    this._invalidateComputed();
+  }
+
+  _restoreEntry({ name, value, options }) {
+    if (name) {
+      this._replace(name, value);
+    } else {
+      this._data = value;
+    }
+
+    Object.keys(this._options).filter(optionName => this._isRelatedName(name, optionName)).forEach(optionName => {
+      delete this._options[optionName];
+    });
+    Object.assign(this._options, options);
+  }
+
+  _trackTransactionPath(name) {
+    const transaction = this._transaction;
+
+    if (!transaction) {
+      if (this._pendingTransactions && !isProduction()) {
+        console.warn(`Write to "${name}" is not part of the pending transaction and will not be rolled back`);
+      }
+
+      return;
+    }
+
+    const nameParts = parsePath(name);
+
+    while (nameParts.length > 1 && this._get(formatPath(nameParts.slice(0, -1)), this._data) === undefined) {
+      nameParts.pop();
+    }
+
+    const path = formatPath(nameParts);
+
+    if (transaction.entries.some(entry => this._isRelatedName(entry.name, path))) { return; }
+
+    transaction.entries.push({
+      name: path,
+      value: this._copy(this._get(path, this._data)),
+      options: Object.keys(this._options).filter(optionName => this._isRelatedName(path, optionName)).reduce((options, optionName) => {
+        return { ...options, [optionName]: this._options[optionName] };
+      }, {})
+    });
+  }
+
+  _createModifiedData(name, value) {
+    return parsePath(name).reduceRight((previous, current) => ({ [current]: previous }), value);
+  }
+
+  _createHistory(history) {
+    if (!history) { return null; }
+
+    return {
+      depth: history.depth || 100,
+      paths: history.paths ? history.paths.map(path => isPattern(path) ? createMatcher(path) : normalizePath(path)) : null,
+      past: [],
+      future: []
+    };
+  }
+
+  _isHistoryTracked(name) {
+    if (!this._history) { return false; }
+    if (!this._history.paths) { return true; }
+
+    const nameParts = parsePath(name);
+
+    return this._history.paths.some(path => {
+      if (typeof path === 'function') { return nameParts.some((part, index) => path(nameParts.slice(0, index + 1))); }
+
+      return name === path || name.indexOf(`${path}.`) === 0;
+    });
+  }
+
+  _recordHistory(entry) {
+    if (this._transaction) {
+      this._transaction.history.push(entry);
+    } else {
+      this._pushHistory([entry]);
+    }
+  }
+
+  _pushHistory(entries) {
+    this._history.past.push(entries);
+    this._history.future = [];
+
+    if (this._history.past.length > this._history.depth) {
+      this._history.past.shift();
+    }
+  }
+
+  _canRestoreHistory(entries, key, origin) {
+    return entries.every(entry => {
+      const context = { oldValue: this._get(entry.name, this._data), options: entry.options || {}, origin };
+
+      return !this._checkAccess(entry.name, entry[key], context);
+    });
+  }
+
+  _restoreHistory(entries, key, origin) {
+    this._runTransaction(() => {
+      entries.forEach(entry => this._replaceValue(entry.name, entry[key], entry.options, origin, false));
+    }, {}, origin);
+  }
+
+  _replaceValue(name, value, options = {}, origin, isRecorded = true) {
+    const oldValue = this._copy(this._get(name, this._data));
+    const isHistoryTracked = isRecorded && this._isHistoryTracked(name);
+    const changedValue = isPlainObject(oldValue) && isPlainObject(value) ?
+      deepMerge(deepClone(oldValue), value) : (value === undefined ? oldValue : value);
+
+    this._trackTransactionPath(name);
+    this._replace(name, value);
+    this._emitMutation(name, oldValue, options, origin);
+
+    if (isHistoryTracked) {
+      this._recordHistory({ name, oldValue: this._copy(oldValue), value: this._copy(value), options });
+    }
+
+    if (options.triggerSubscriptionCallback === undefined || options.triggerSubscriptionCallback) {
+      this._triggerSubscriptionCallbacks({
+        name, modifiedData: this._createModifiedData(name, changedValue), options, oldValue
+      }, origin);
+    }
+  }
+
+  _getPrunedName(name) {
+    const nameParts = parsePath(name);
+    let prunedName = name;
+
+    while (nameParts.length > 1) {
+      nameParts.pop();
+
+      const parentName = formatPath(nameParts);
+      const parent = this._get(parentName, this._data);
+
+      if (!isPlainObject(parent) || Object.keys(parent).length !== 1) { break; }
+
+      prunedName = parentName;
+    }
+
+    return prunedName;
+  }
+
+  _getDefaults() {
+    return Object.keys(this._options).reduce((data, name) => {
+      const defaultValue = this._options[name].defaultValue;
+
+      if (defaultValue === undefined) { return data; }
+
+      return deepMerge(data, this._createModifiedData(name, deepClone(defaultValue)));
+    }, {});
+  }
+
+  _findComputedName(name) {
+    if (!name) { return; }
+
+    return Object.keys(this._computed).find(computedName => name === computedName || name.indexOf(`${computedName}.`) === 0);
+  }
+
+  _checkComputedWrite(name, value) {
+    const computedName = Object.keys(this._computed).find(computedName => {
+      return name === computedName ||
+        name.indexOf(`${computedName}.`) === 0 ||
+        (computedName.indexOf(`${name}.`) === 0 && this._get(computedName.slice(name.length + 1), value) !== undefined);
+    });
+
+    if (computedName) {
+      throw new Error(`Cannot set "${name}", "${computedName}" is a computed value`);
+    }
+  }
+
+  _getComputedValue(name) {
+    const computed = this._computed[name];
+
+    if (computed.isDirty) {
+      computed.isDirty = false;
+      computed.value = computed.callback(...computed.dependencies.map(dependency => this.get(dependency)));
+    }
+
+    return computed.value;
+  }
+
+  _invalidateComputed(name) {
+    const nameParts = name ? parsePath(name) : null;
+
+    Object.keys(this._computed).forEach(computedName => {
+      const computed = this._computed[computedName];
+
+      if (computed.isDirty) { return; }
+
+      const isAffected = !nameParts || computed.dependencies.some(dependency => {
+        const dependencyParts = parsePath(dependency);
+
+        return this._hasSubArray(nameParts, dependencyParts) || this._hasSubArray(dependencyParts, nameParts);
+      });
+
+      if (isAffected) {
+        computed.isDirty = true;
+        this._invalidateComputed(computedName);
+      }
+    });
+  }
+
+  _getComputedChanges() {
+    return Object.keys(this._computed).reduce((changes, name) => {
+      const computed = this._computed[name];
+      const value = this._getComputedValue(name);
+
+      if (value !== computed.notifiedValue) {
+        changes.push({ name, oldValue: computed.notifiedValue });
+        computed.notifiedValue = value;
+      }
+
+      return changes;
+    }, []);
+  }
+
+  _replace(name, value) {
+    const nameParts = parsePath(name);
+
+    if (this._isImmutable) {
+      this._data = this._freeze(setIn(this._data, nameParts, deepClone(value)));
+      this._invalidateComputed(name);
+      return;
+    }
+
+    const key = nameParts.pop();
+    const parent = this._get(formatPath(nameParts), this._data);
+
+    if (parent && typeof parent === 'object') {
+      if (value === undefined) {
+        delete parent[key];
+      } else {
+        parent[key] = deepClone(value);
+      }
+    } else if (value !== undefined) {
+      this._data = deepMerge(this._data, this._createModifiedData(name, deepClone(value)));
+    }
+
+    this._invalidateComputed(name);
+  }
+
+  _replaceData(data, origin) {
+    const oldData = this._mutationListeners.length ? this.snapshot() : undefined;
+
+    data = this._protectData(data, origin);
+    this._trackTransactionPath('');
+    this._data = this._isImmutable ? data : deepClone(data);
+    this._invalidateComputed();
+    this._emitMutation('', oldData, {}, origin);
+    this._triggerSubscriptionCallbacks({ modifiedData: false }, origin);
+  }
+
+  _createArrays(paths = []) {
+    paths.filter(path => path && this._get(path, this._data) === undefined).forEach(path => {
+      this._mergeData(this._createModifiedData(path, []));
+    });
+  }
+
+  _mergeData(modifiedData) {
+    this._data = this._isImmutable ?
+      this._freeze(mergeImmutable(this._data, modifiedData)) :
+      deepMerge(this._data, modifiedData);
+  }
+
+  _copy(value) {
+    return this._isImmutable ? value : deepClone(value);
+  }
+
+  _freeze(value) {
+    return this._isFrozen ? deepFreeze(value) : value;
+  }
+
+  _load(data, options) {
+    this._options = options;
+    this._clearOptionsCache();
+    this._initialOptions = { ...options };
+    this._data = this._freeze(data);
+    this._invalidateComputed();
+  }
+
+  _hydrate(data) {
+    Object.keys(data).forEach(name => {
+      const modifiedData = name ? this._createModifiedData(name, deepClone(data[name])) : deepClone(data[name]);
+      const oldValue = this._mutationListeners.length ? this._copy(this._get(name, this._data)) : undefined;
+
+      this._trackTransactionPath(name);
+      this._mergeData(modifiedData);
+      this._invalidateComputed(name);
+      this._emitMutation(name, oldValue, {}, 'hydrate');
+      this._triggerSubscriptionCallbacks({ name, modifiedData }, 'hydrate');
+    });
+  }
+
+  _setDefaults(defaults) {
+    const modifiedData = this._objectToDotNotation(defaults);
+
+    Object.keys(modifiedData).forEach(key => this.setOptions(key, { defaultValue: modifiedData[key] }));
+  }
+
+  _setSchema(schema = {}) {
+    Object.keys(schema).forEach(name => this.setOptions(name, { ...this._options[name], schema: schema[name] }));
+  }
+
+  _validate(name, value, oldValue) {
+    const schemaNames = this._getSchemaPaths();
+
+    if (!schemaNames.length) { return []; }
+
+    const nextValue = isPlainObject(oldValue) && isPlainObject(value) ? deepMerge(deepClone(oldValue), value) : value;
+
+    return schemaNames.reduce((errors, schemaName) => {
+      const schema = this._options[schemaName].schema;
+
+      if (schemaName === name || name.indexOf(`${schemaName}.`) === 0) {
+        const subSchema = getSubSchema(schema, parsePath(name).slice(parsePath(schemaName).length));
+
+        if (subSchema) { errors.push(...validateSchema(nextValue, subSchema, name)); }
+      } else if (schemaName.indexOf(`${name}.`) === 0) {
+        const subValue = this._get(schemaName.slice(name.length + 1), nextValue);
+
+        if (subValue !== undefined) { errors.push(...validateSchema(subValue, schema, schemaName)); }
+      }
+
+      return errors;
+    }, []);
+  }
+
+  _reportValidationErrors(errors, validation) {
+    errors.forEach(error => {
+      if (validation === 'warn') {
+        console.warn(`Invalid value for "${error.path}": ${error.rule} rule failed`, error.value);
+      }
+
+      this._validationErrorCallbacks.forEach(callback => callback(error));
+    });
+  }
+
+  _getDefaultValue(name) {
+    const options = this._getOptions(name);
+
+    if (!options) { return; }
+
+    return options.defaultValue;
+  }
+
+  _hasSubArray(master, sub) {
+    return sub.every((i => v => i = master.indexOf(v, i) + 1)(0));
+  };
+
+  _emitMutation(name, oldValue, options, origin) {
+    if (!this._mutationListeners.length) { return; }
+
+    const mutation = { name, oldValue, value: this._copy(this._get(name, this._data)), options, origin };
+
+    if (this._transaction) {
+      this._transaction.mutations.push(mutation);
+    } else {
+      this._callMutationListeners(mutation);
+    }
+  }
+
+  _callMutationListeners(mutation) {
+    this._mutationListeners.slice().forEach(listener => listener(mutation));
+  }
+
+  _triggerSubscriptionCallbacks(change, origin) {
+    if (this._transaction) {
+      this._transaction.changes.push(change);
+      return;
+    }
+
+    this._notify([change], origin);
+  }
+
+  _createScheduler(scheduler) {
+    if (typeof scheduler === 'function') { return scheduler; }
+
+    switch (scheduler) {
+      case 'microtask': return callback => Promise.resolve().then(callback);
+      case 'animationFrame': return callback => typeof requestAnimationFrame === 'function' ?
+        requestAnimationFrame(callback) : setTimeout(callback, 16);
+      default: return null;
+    }
+  }
+
+  _notify(changes, origin) {
+    if (!this._scheduler) {
+      this._dispatch(changes, origin);
+      return;
+    }
+
+    if (this._pendingNotification) {
+      const notification = this._pendingNotification;
+
+      notification.changes.push(...changes);
+      notification.origin = origin;
+      return;
+    }
+
+    this._pendingNotification = { changes: changes.slice(), origin };
+    this._scheduler(() => this.flush());
+  }
+
+  _dispatch(changes, origin) {
+    if (!this._registry) { return; }
+
+    const revision = ++this._revision;
+    let callbackCount = 0;
+    const changeList = changes.concat(this._getComputedChanges()).map(change => ({
+      ...change,
+      nameParts: change.name ? parsePath(change.name) : null,
+      callbackCount: 0
+    }));
+    const createRecord = (name, matchingChanges) => {
+      const record = {
+        previousValue: this._getPreviousValue(name, matchingChanges),
+        paths: matchingChanges.map(change => change.name || '').filter((path, index, paths) => paths.indexOf(path) === index),
+        origin,
+        revision
+      };
+      const arrayChanges = matchingChanges.reduce((list, change) => {
+        return list.concat((change.arrayChanges || []).map(arrayChange => ({ path: change.name, ...arrayChange })));
+      }, []);
+
+      return arrayChanges.length ? { ...record, arrayChanges } : record;
+    };
+    const getOptions = matchingChanges => matchingChanges.reduce((list, change) => ({ ...list, ...change.options }), {});
+    const countCallback = matchingChanges => {
+      ++callbackCount;
+      matchingChanges.forEach(change => ++change.callbackCount);
+    };
+
+    this._registry.match(changeList).forEach(({ subscription, changes: matchingChanges }) => {
+      if (!this._registry.has(subscription)) { return; }
+
+      if (subscription.matcher) {
+        this._getPatternMatches(subscription.matcher, changeList).forEach(({ path, wildcards }) => {
+          const pathParts = parsePath(path);
+          const matchingChanges = changeList.filter(({ nameParts }) => this._isRelatedPath(nameParts, pathParts));
+          const record = { ...createRecord(path, matchingChanges), pattern: subscription.name, wildcards };
+
+          if (this._callSubscription(subscription, path, getOptions(matchingChanges), record)) { countCallback(matchingChanges); }
+        });
+
+        return;
+      }
+
+      const record = createRecord(subscription.name, matchingChanges);
+
+      if (this._callSubscription(subscription, subscription.name, getOptions(matchingChanges), record)) {
+        countCallback(matchingChanges);
+      }
+    });
+
+    this._dispatchListeners.forEach(listener => listener({ changes: changeList, callbackCount, revision }));
+  }
+
+  _isRelatedPath(nameParts, pathParts) {
+    if (!nameParts) { return true; }
+
+    const length = Math.min(nameParts.length, pathParts.length);
+
+    return nameParts.slice(0, length).every((part, index) => part === pathParts[index]);
+  }
+
+  _getPreviousValue(name, changes) {
+    return changes.slice().reverse().reduce((value, change) => {
+      if (!change.name || !('oldValue' in change)) { return value; }
+
+      if (change.name === name) { return change.oldValue; }
+
+      if (!name || change.name.indexOf(`${name}.`) === 0) {
+        return setIn(value, change.nameParts.slice(name ? parsePath(name).length : 0), change.oldValue);
+      }
+
+      if (name.indexOf(`${change.name}.`) === 0) {
+        return this._get(name.slice(change.name.length + 1), change.oldValue);
+      }
+
+      return value;
+    }, this.get(name));
+  }
+
+  _addSubscription(subscription) {
+    if (this._strict) {
+      if (!subscription.matcher) { this._checkDeclared(subscription.name); }
+
+      if (this._registry.getByName(subscription.name).some(item => item.callback === subscription.callback)) {
+        this._reportStrictViolation(`Callback is already subscribed to "${subscription.name}"`);
+      }
+    }
+
+    this._registry.add(subscription);
+  }
+
+  _checkDisposedScope(prefix, names) {
+    if (!this._strict) { return; }
+
+    this._reportStrictViolation(`Subscribing to "${[].concat(names).join('", "')}" after scope "${prefix}" was disposed`);
+  }
+
+  _declareDefaults(defaults, prefix = '') {
+    if (!this._strict) { return; }
+
+    Object.keys(defaults).forEach(key => {
+      const name = appendPath(prefix, key);
+      const value = defaults[key];
+
+      if (isPlainObject(value) && Object.keys(value).length) {
+        this._declareDefaults(value, name);
+      } else {
+        this._declare(name);
+      }
+    });
+  }
+
+  _declare(name) {
+    if (!this._strict || !name) { return; }
+
+    const nameParts = parsePath(name);
+
+    this._declaredPaths.add(name);
+    nameParts.forEach((part, index) => this._declaredPrefixes.add(formatPath(nameParts.slice(0, index + 1))));
+  }
+
+  _checkDeclared(name) {
+    if (!this._strict || !name || this._declaredPrefixes.has(name)) { return; }
+
+    const nameParts = parsePath(name);
+
+    for (let index = 1; index < nameParts.length; ++index) {
+      if (this._declaredPaths.has(formatPath(nameParts.slice(0, index)))) { return; }
+    }
+
+    this._reportStrictViolation(`Undeclared path "${name}"`);
+  }
+
+  _reportStrictViolation(message) {
+    if (this._strict === 'throw') { throw new Error(message); }
+
+    if (!this._strictWarnings.has(message)) {
+      this._strictWarnings.add(message);
+      console.warn(message);
+    }
+  }
+
+  _createSubscription(id, name, callback, options = {}) {
+    const matcher = isPattern(name) ? createMatcher(name) : null;
+    const subscription = { id, name, callback, matcher, nameParts: parsePath(name) };
+
+    if (options.equals || options.selector) {
+      subscription.comparator = getComparator(options.equals);
+      subscription.selector = options.selector || null;
+      subscription.lastValues = matcher ? {} : { [name]: this._select(subscription, this.get(name)) };
+    }
+
+    return subscription;
+  }
+
+  _callSubscription(subscription, path, options, record) {
+    return this._untracked(() => this._runSubscription(subscription, path, options, record));
+  }
+
+  _runSubscription(subscription, path, options, record) {
+    const value = this.get(path);
+
+    if (!subscription.comparator) {
+      subscription.callback(value, path, options, record);
+      return true;
+    }
+
+    const selectedValue = this._select(subscription, value);
+    const lastValues = subscription.lastValues;
+
+    if (subscription.matcher && !(path in lastValues) && record.previousValue !== undefined) {
+      lastValues[path] = this._select(subscription, record.previousValue);
+    }
+
+    if (path in lastValues && subscription.comparator(lastValues[path], selectedValue)) { return false; }
+
+    lastValues[path] = selectedValue;
+    subscription.callback(selectedValue, path, options, record);
+
+    return true;
+  }
+
+  _select(subscription, value) {
+    return this._copy(subscription.selector ? subscription.selector(value) : value);
+  }
+
+  _getPatternMatches(matcher, changeList) {
+    const matches = [];
+    const isCovered = path => matches.some(match => path === match.path || path.indexOf(`${match.path}.`) === 0);
+    const addMatch = nameParts => {
+      const path = formatPath(nameParts);
+      const wildcards = isCovered(path) ? null : matcher(nameParts);
+
+      if (wildcards) { matches.push({ path, wildcards }); }
+
+      return !!wildcards;
+    };
+
+    changeList.forEach(({ nameParts, modifiedData }) => {
+      const depth = nameParts ? nameParts.length : 0;
+      const data = nameParts ? modifiedData : this._data;
+      const leafKeys = isPlainObject(data) ? Object.keys(this._objectToDotNotation(data)) : [];
+      const candidates = nameParts ? [nameParts] : [];
+
+      leafKeys.forEach(key => {
+        const keyParts = parsePath(key);
+
+        for (let index = depth + 1; index <= keyParts.length; ++index) {
+          candidates.push(keyParts.slice(0, index));
+        }
+      });
+
+      const isSubtreeMatching = candidates
+        .sort((a, b) => a.length - b.length)
+        .reduce((isMatching, candidate) => addMatch(candidate) || isMatching, false);
+
+      for (let index = depth - 1; !isSubtreeMatching && index > 0; --index) {
+        if (addMatch(nameParts.slice(0, index))) { break; }
+      }
+    });
+
+    return matches;
+  }
+
+  _unsubscribe(id) {
+    this._registry.removeById(id);
+  }
+
+  _objectToDotNotation(data, prefix = '', result = {}) {
+    return Object.entries(data).reduce((list, [key, value]) => {
+      const flattenedKey = `${prefix}${formatPath([key])}`;
+
+      if (isPlainObject(value)) {
+        this._objectToDotNotation(value, `${flattenedKey}.`, list);
+      } else {
+        result[flattenedKey] = value;
+      }
+
+      return list;
+    }, result);
+  }
+
+  _clearOptionsCache() {
+    this._optionsCache.clear();
+    this._accessPaths = null;
+    this._schemaPaths = null;
+  }
+
+  _getOptions(name = '') {
+    const optionName = this._findOptionName(name);
+
+    if (!this._optionsCache.has(optionName)) {
+      this._optionsCache.set(optionName, { ...this._defaultOptions, ...(optionName !== null ? this._options[optionName] : null) });
+    }
+
+    return this._optionsCache.get(optionName);
+  }
+
+  _findOptionName(name) {
+    let optionName = null;
+    let partialName = '';
+
+    parsePath(name).forEach(part => {
+      partialName = appendPath(partialName, part);
+
+      if (Object.prototype.hasOwnProperty.call(this._options, partialName) && this._options[partialName]) {
+        optionName = partialName;
+      }
+    });
+
+    return optionName;
+  }
+
+  _getSchemaPaths() {
+    if (!this._schemaPaths) {
+      this._schemaPaths = Object.keys(this._options).filter(path => this._options[path] && this._options[path].schema);
+    }
+
+    return this._schemaPaths;
+  }
+
+  _transformValue(value, oldValue, rule = {}, onError = () => {}) {
+    if (!rule) { return value; }
+
+    if (rule.type) {
+      value = parseValue(value, rule.type, { oldValue, options: rule, onError });
+    }
+
+    if (rule.allowedValues && rule.allowedValues.filter(allowedValue => value === allowedValue).length === 0) {
+      onError('allowedValues', rule.allowedValues);
+      return rule.defaultValue !== undefined ? rule.defaultValue : null;
+    }
+
+    return value;
   }
 }
@@ -0,0 +1,157 @@
+import { deepClone } from './deep-merge.js';
+import { encode } from './serialize.js';
+
+const MESSAGE_SOURCE = 'bamboo-state-inspector';
+
+export default class Inspector {
+  constructor(state, options = {}) {
+    this._state = state;
+    this._limit = options.limit || 500;
+    this._entries = [];
+    this._snapshots = [];
+    this._pendingEntries = [];
+    this._index = -1;
+    this._initialSnapshot = state.snapshot();
+    this._ports = [];
+    this._mutationListener = mutation => this._record(mutation);
+    this._dispatchListener = dispatch => this._countSubscribers(dispatch);
+
+    state._mutationListeners.push(this._mutationListener);
+    state._dispatchListeners.push(this._dispatchListener);
+  }
+
+  getEntries() {
+    return this._entries.slice();
+  }
+
+  getIndex() {
+    return this._index;
+  }
+
+  jumpTo(index) {
+    const snapshot = index < 0 ? this._initialSnapshot : this._snapshots[index];
+
+    if (snapshot === undefined) { return false; }
+
+    this._index = index;
+    this._state._replaceData(snapshot, 'inspector');
+    this._post({ type: 'jump', index });
+
+    return true;
+  }
+
+  replay(to = this._entries.length - 1) {
+    const last = Math.min(to, this._entries.length - 1);
+
+    for (let index = this._index + 1; index <= last; ++index) {
+      const entry = this._entries[index];
+
+      this._index = index;
+
+      if (!entry.name) {
+        this._state._replaceData(deepClone(entry.value), 'inspector');
+      } else if (this._state._isWritable(entry.name, entry.value, 'inspector')) {
+        this._state._replaceValue(entry.name, deepClone(entry.value), entry.options, 'inspector', false);
+      }
+
+      this._post({ type: 'jump', index });
+    }
+  }
+
+  connect(port) {
+    const listener = event => this._handleMessage(event && event.data !== undefined ? event.data : event);
+
+    port.addEventListener('message', listener);
+
+    if (typeof port.start === 'function') { port.start(); }
+
+    const connection = { port, listener };
+
+    this._ports.push(connection);
+    port.postMessage({ source: MESSAGE_SOURCE, type: 'init', entries: this._entries.map(this._toMessageEntry), index: this._index });
+
+    return { disconnect: () => this._disconnect(connection) };
+  }
+
+  destroy() {
+    this._state._mutationListeners = this._state._mutationListeners.filter(listener => listener !== this._mutationListener);
+    this._state._dispatchListeners = this._state._dispatchListeners.filter(listener => listener !== this._dispatchListener);
+    this._ports.slice().forEach(connection => this._disconnect(connection));
+  }
+
+  _record({ name, oldValue, value, options, origin }) {
+    if (origin === 'inspector') { return; }
+
+    const entry = {
+      timestamp: Date.now(),
+      name,
+      oldValue: deepClone(oldValue),
+      value: deepClone(value),
+      action: options.action,
+      options,
+      origin,
+      subscriberCount: 0
+    };
+
+    this._pendingEntries.push({ entry, revision: this._state._revision });
+    this._addEntry(entry);
+  }
+
+  _addEntry(entry) {
+    if (this._index < this._entries.length - 1) {
+      this._entries.splice(this._index + 1);
+      this._snapshots.splice(this._index + 1);
+    }
+
+    this._entries.push(entry);
+    this._snapshots.push(this._state.snapshot());
+
+    if (this._entries.length > this._limit) {
+      this._initialSnapshot = this._snapshots.shift();
+      this._entries.shift();
+    }
+
+    this._index = this._entries.length - 1;
+    this._post({ type: 'entry', entry: this._toMessageEntry(entry), index: this._index });
+  }
+
+  _countSubscribers({ changes, revision }) {
+    const unmatchedChanges = changes.slice();
+
+    this._pendingEntries = this._pendingEntries.filter(({ entry, revision: entryRevision }) => {
+      if (entryRevision >= revision) { return true; }
+
+      const index = unmatchedChanges.findIndex(change => (change.name || '') === entry.name);
+
+      if (index !== -1) {
+        entry.subscriberCount = unmatchedChanges[index].callbackCount;
+        unmatchedChanges.splice(index, 1);
+      }
+
+      return false;
+    });
+  }
+
+  _handleMessage(message) {
+    if (!message || message.source !== MESSAGE_SOURCE) { return; }
+
+    switch (message.type) {
+      case 'jumpTo': this.jumpTo(message.index); break;
+      case 'replay': this.replay(message.to); break;
+      case 'getEntries': this._post({ type: 'init', entries: this._entries.map(this._toMessageEntry), index: this._index }); break;
+    }
+  }
+
+  _post(message) {
+    this._ports.forEach(({ port }) => port.postMessage({ source: MESSAGE_SOURCE, ...message }));
+  }
+
+  _disconnect(connection) {
+    connection.port.removeEventListener('message', connection.listener);
+    this._ports = this._ports.filter(item => item !== connection);
+  }
+
+  _toMessageEntry({ timestamp, name, oldValue, value, action, origin, subscriberCount }) {
+    return { timestamp, name, oldValue: encode(oldValue), value: encode(value), action, origin, subscriberCount };
+  }
+}
@@ -0,0 +1,93 @@
+const escapeSegment = segment => String(segment).replace(/[\\.[\]]/g, character => `\\${character}`);
+
+const readQuoted = (path, start) => {
+  const quote = path[start];
+  let segment = '';
+  let index = start + 1;
+
+  for (; index < path.length && path[index] !== quote; ++index) {
+    if (path[index] === '\\') { ++index; }
+    segment += path[index];
+  }
+
+  if (path[index + 1] !== ']') { throw new Error(`Invalid path: ${path}`); }
+
+  return { segment, end: index + 2, isQuoted: true };
+}
+
+const readBracket = (path, start) => {
+  if (path[start + 1] === '"' || path[start + 1] === '\'') { return readQuoted(path, start + 1); }
+
+  const end = path.indexOf(']', start);
+
+  if (end === -1) { throw new Error(`Invalid path: ${path}`); }
+
+  return { segment: path.slice(start + 1, end).trim(), end: end + 1 };
+}
+
+const parseString = (path, indexes = []) => {
+  if (!/[\\[]/.test(path)) { return path.split('.'); }
+
+  const segments = [];
+  let segment = '';
+  let hasSegment = false;
+
+  for (let index = 0; index < path.length; ++index) {
+    const character = path[index];
+
+    if (character === '\\') {
+      segment += path[++index] || '';
+      hasSegment = true;
+    } else if (character === '.') {
+      segments.push(segment);
+      segment = '';
+      hasSegment = false;
+    } else if (character === '[') {
+      const bracket = readBracket(path, index);
+
+      if (hasSegment) { segments.push(segment); }
+      if (!bracket.isQuoted && /^\d+$/.test(bracket.segment)) { indexes.push(segments.length); }
+
+      segments.push(bracket.segment);
+      segment = '';
+      hasSegment = false;
+      index = bracket.end - 1;
+
+      if (path[bracket.end] === '.') { ++index; }
+    } else {
+      segment += character;
+      hasSegment = true;
+    }
+  }
+
+  if (hasSegment || path[path.length - 1] === '.') { segments.push(segment); }
+
+  return segments;
+}
+
+export const parsePath = path => {
+  if (Array.isArray(path)) { return path.map(String); }
+  if (path === undefined || path === null || path === '') { return []; }
+
+  return parseString(String(path));
+}
+
+export const getArrayPaths = path => {
+  if (typeof path !== 'string' || path.indexOf('[') === -1) { return []; }
+
+  const indexes = [];
+  const segments = parseString(path, indexes);
+
+  return indexes.map(index => formatPath(segments.slice(0, index)));
+}
+
+export const formatPath = segments => segments.map(escapeSegment).join('.');
+
+export const normalizePath = path => {
+  if (path === undefined || path === null || path === '') { return path; }
+  if (typeof path === 'string' && !/[\\[\]]/.test(path)) { return path; }
+
+  return formatPath(parsePath(path));
+}
+
+export const appendPath = (path, segment) => path ? `${path}.${escapeSegment(segment)}` : escapeSegment(segment);
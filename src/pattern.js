@@ -0,0 +1,43 @@
+import { parsePath } from './path.js';
+
+const matchParts = (patternParts, nameParts, wildcards) => {
+  if (!patternParts.length) { return nameParts.length ? null : wildcards; }
+
+  const [patternPart, ...restPatternParts] = patternParts;
+
+  if (patternPart === '**') {
+    for (let count = 0; count <= nameParts.length; ++count) {
+      const result = matchParts(restPatternParts, nameParts.slice(count), [...wildcards, nameParts.slice(0, count).join('.')]);
+
+      if (result) { return result; }
+    }
+
+    return null;
+  }
+
+  if (!nameParts.length) { return null; }
+
+  const [namePart, ...restNameParts] = nameParts;
+
+  if (patternPart === '*') {
+    return matchParts(restPatternParts, restNameParts, [...wildcards, namePart]);
+  }
+
+  const alternatives = /^\{(.*)\}$/.exec(patternPart);
+
+  if (alternatives) {
+    const isMatching = alternatives[1].split(',').map(alternative => alternative.trim()).indexOf(namePart) !== -1;
+
+    return isMatching ? matchParts(restPatternParts, restNameParts, [...wildcards, namePart]) : null;
+  }
+
+  return patternPart === namePart ? matchParts(restPatternParts, restNameParts, wildcards) : null;
+}
+
+export const isPattern = name => typeof name === 'string' && /[*{]/.test(name);
+
+export const createMatcher = pattern => {
+  const patternParts = parsePath(pattern);
+
+  return nameParts => matchParts(patternParts, nameParts, []);
+}
@@ -0,0 +1,195 @@
+import { deepClone, setIn } from './deep-merge.js';
+import { normalizePath, parsePath } from './path.js';
+
+const isRelated = (ancestor, name) => !ancestor || ancestor === name || name.indexOf(`${ancestor}.`) === 0;
+
+export class MemoryAdapter {
+  constructor() {
+    this._items = {};
+  }
+
+  getItem(key) {
+    return deepClone(this._items[key]);
+  }
+
+  setItem(key, value) {
+    this._items[key] = deepClone(value);
+  }
+
+  removeItem(key) {
+    delete this._items[key];
+  }
+}
+
+export class StorageAdapter {
+  constructor(storage) {
+    this._storage = storage;
+  }
+
+  getItem(key) {
+    const item = this._storage.getItem(key);
+
+    if (item === null || item === undefined) { return; }
+
+    try { return JSON.parse(item); } catch(error) {}
+  }
+
+  setItem(key, value) {
+    this._storage.setItem(key, JSON.stringify(value));
+  }
+
+  removeItem(key) {
+    this._storage.removeItem(key);
+  }
+}
+
+export class AsyncAdapter {
+  constructor({ get, set, remove }) {
+    this._get = get;
+    this._set = set;
+    this._remove = remove;
+  }
+
+  getItem(key) {
+    return Promise.resolve(this._get(key));
+  }
+
+  setItem(key, value) {
+    return Promise.resolve(this._set(key, value));
+  }
+
+  removeItem(key) {
+    return Promise.resolve(this._remove && this._remove(key));
+  }
+}
+
+export default class Persistence {
+  constructor(state, options = {}) {
+    this._state = state;
+    this._adapter = options.adapter || new MemoryAdapter();
+    this._key = options.key || 'bamboo-state';
+    this._paths = (options.paths || ['']).map(normalizePath);
+    this._version = options.version || 1;
+    this._migrations = options.migrations || {};
+    this._debounce = options.debounce !== undefined ? options.debounce : 100;
+    this._onError = options.onError || (error => console.warn('Persistence failed', error));
+    this._timeout = null;
+    this._isHydrated = false;
+    this._isRestoring = false;
+    this._dirtyPaths = [];
+    this.hydrated = null;
+  }
+
+  hydrate() {
+    const payload = this._run(() => this._adapter.getItem(this._key));
+
+    if (payload && typeof payload.then === 'function') {
+      this.hydrated = payload.then(item => this._run(() => this._restore(item)));
+    } else {
+      this._run(() => this._restore(payload));
+      this.hydrated = Promise.resolve();
+    }
+
+    this._state.subscribe(this._paths, (value, name, options, record) => this._schedule(record.paths));
+
+    return this.hydrated;
+  }
+
+  flush() {
+    clearTimeout(this._timeout);
+    this._timeout = null;
+
+    const data = this._paths.reduce((list, path) => {
+      list[path] = deepClone(this._state.get(path));
+      return list;
+    }, {});
+
+    return this._run(() => this._adapter.setItem(this._key, { version: this._version, data }));
+  }
+
+  clear() {
+    clearTimeout(this._timeout);
+    this._timeout = null;
+
+    return this._run(() => this._adapter.removeItem(this._key));
+  }
+
+  _run(callback) {
+    try {
+      const result = callback();
+
+      return result && typeof result.then === 'function' ? result.then(undefined, error => this._onError(error)) : result;
+    } catch(error) {
+      this._onError(error);
+    }
+  }
+
+  _schedule(paths) {
+    if (this._isRestoring) { return; }
+
+    if (!this._isHydrated) {
+      this._dirtyPaths.push(...paths);
+      return;
+    }
+
+    if (!this._debounce) {
+      this.flush();
+      return;
+    }
+
+    clearTimeout(this._timeout);
+    this._timeout = setTimeout(() => this.flush(), this._debounce);
+  }
+
+  _restore(payload) {
+    this._isHydrated = true;
+
+    try {
+      const data = this._migrate(payload);
+
+      if (!data) { return; }
+
+      this._isRestoring = true;
+      this._state._hydrate(this._getRestoredData(data));
+    } finally {
+      this._isRestoring = false;
+
+      if (this._dirtyPaths.length) {
+        this._dirtyPaths = [];
+        this._schedule([]);
+      }
+    }
+  }
+
+  _getRestoredData(data) {
+    return this._paths.reduce((list, path) => {
+      const dirtyPaths = this._dirtyPaths.filter(dirtyPath => isRelated(path, dirtyPath) || isRelated(dirtyPath, path));
+
+      if (data[path] === undefined || dirtyPaths.some(dirtyPath => isRelated(dirtyPath, path))) { return list; }
+
+      list[path] = dirtyPaths.reduce((value, dirtyPath) => {
+        return setIn(value, parsePath(dirtyPath).slice(parsePath(path).length), this._state.get(dirtyPath));
+      }, data[path]);
+
+      return list;
+    }, {});
+  }
+
+  _migrate(payload) {
+    if (!payload || typeof payload !== 'object' || !payload.data) { return null; }
+
+    const storedVersion = payload.version || 0;
+
+    if (storedVersion > this._version) { return null; }
+
+    let data = payload.data;
+
+    for (let version = storedVersion + 1; version <= this._version; ++version) {
+      if (this._migrations[version]) {
+        data = this._migrations[version](data);
+      }
+    }
+
+    return data;
+  }
+}
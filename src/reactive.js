@@ -0,0 +1,153 @@
+import { deepClone } from './deep-merge.js';
+import { appendPath } from './path.js';
+
+const paths = new WeakMap();
+const arrayMutators = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+
+const isObject = value => value !== null && typeof value === 'object';
+
+const mutateArray = (state, path, method) => {
+  return (...args) => {
+    const array = (state.get(path) || []).slice();
+
+    if (method === 'push') {
+      const result = state.push(path, ...args);
+
+      return result ? result.value.length : array.length;
+    }
+
+    if (method === 'splice') {
+      const removed = array.splice(...args);
+
+      state.splice(path, ...args);
+
+      return removed;
+    }
+
+    const result = array[method](...args);
+
+    state.set(path, array);
+
+    return result === array ? createReactive(state, path) : result;
+  };
+}
+
+export const unwrap = (state, value) => paths.has(value) ? deepClone(state.get(paths.get(value))) : value;
+
+export const createReactive = (state, path = '') => {
+  const getValue = () => state._get(path, state._data);
+  const target = Array.isArray(getValue()) ? [] : {};
+
+  const proxy = new Proxy(target, {
+    get(target, key, receiver) {
+      const value = getValue();
+      const isOwn = isObject(value) && Object.prototype.hasOwnProperty.call(value, key);
+
+      if (typeof key === 'symbol' || (!isOwn && key in target)) {
+        if (Array.isArray(value) && arrayMutators.includes(key)) { return mutateArray(state, path, key); }
+
+        return Reflect.get(target, key, receiver);
+      }
+
+      const name = appendPath(path, key);
+      const child = state._get(name, state._data);
+
+      if (isObject(child)) { return createReactive(state, name); }
+
+      return state.get(name);
+    },
+
+    set(target, key, value) {
+      state.set(appendPath(path, key), unwrap(state, value));
+      return true;
+    },
+
+    deleteProperty(target, key) {
+      state.unset(appendPath(path, key));
+      return true;
+    },
+
+    has(target, key) {
+      const value = state.get(path);
+      return isObject(value) && key in value;
+    },
+
+    ownKeys(target) {
+      const value = state.get(path);
+      const keys = isObject(value) ? Reflect.ownKeys(value) : [];
+
+      return Array.isArray(target) && !keys.includes('length') ? keys.concat('length') : keys;
+    },
+
+    getOwnPropertyDescriptor(target, key) {
+      const value = getValue();
+
+      if (!isObject(value) || !Object.prototype.hasOwnProperty.call(value, key)) { return undefined; }
+      if (key === 'length' && Array.isArray(target)) {
+        return { ...Reflect.getOwnPropertyDescriptor(target, key), value: value.length };
+      }
+
+      return { value: proxy[key], writable: true, enumerable: true, configurable: true };
+    }
+  });
+
+  paths.set(proxy, path);
+
+  return proxy;
+}
+
+export class Effect {
+  constructor(state, callback) {
+    this._state = state;
+    this._callback = callback;
+    this._subscription = null;
+    this._revision = null;
+    this._isRunning = false;
+    this._isDisposed = false;
+
+    this.run();
+  }
+
+  run() {
+    if (this._isDisposed || this._isRunning) { return; }
+
+    const dependencies = new Set();
+
+    this._isRunning = true;
+    this._state._trackers.push(dependencies);
+
+    try {
+      this._callback();
+    } finally {
+      this._state._trackers.pop();
+      this._isRunning = false;
+    }
+
+    this._subscribe([...dependencies]);
+  }
+
+  dispose() {
+    this._isDisposed = true;
+    this._unsubscribe();
+  }
+
+  _subscribe(dependencies) {
+    this._unsubscribe();
+
+    if (!dependencies.length) { return; }
+
+    this._subscription = this._state.subscribe(dependencies, (value, name, options, record) => {
+      if (record.revision === this._revision) { return; }
+
+      this._revision = record.revision;
+      this.run();
+    });
+  }
+
+  _unsubscribe() {
+    if (this._subscription) {
+      this._subscription.unsubscribe();
+      this._subscription = null;
+    }
+  }
+}
@@ -0,0 +1,181 @@
+import { isPlainObject } from './deep-merge.js';
+import { parsePath } from './path.js';
+
+const createNode = () => ({ children: new Map(), subscriptions: [] });
+
+export default class SubscriptionRegistry {
+  constructor() {
+    this._root = createNode();
+    this._patterns = [];
+    this._subscriptions = new Set();
+    this._ids = new Map();
+    this._sequence = 0;
+  }
+
+  get size() {
+    return this._subscriptions.size;
+  }
+
+  add(subscription) {
+    subscription.sequence = ++this._sequence;
+    this._subscriptions.add(subscription);
+    this._ids.set(subscription.id, (this._ids.get(subscription.id) || []).concat(subscription));
+
+    if (subscription.matcher) {
+      this._patterns.push(subscription);
+      return;
+    }
+
+    const node = subscription.nameParts.reduce((parent, part) => {
+      if (!parent.children.has(part)) { parent.children.set(part, createNode()); }
+
+      return parent.children.get(part);
+    }, this._root);
+
+    node.subscriptions.push(subscription);
+  }
+
+  has(subscription) {
+    return this._subscriptions.has(subscription);
+  }
+
+  remove(subscription) {
+    if (!this._subscriptions.delete(subscription)) { return; }
+
+    const siblings = (this._ids.get(subscription.id) || []).filter(item => item !== subscription);
+
+    if (siblings.length) {
+      this._ids.set(subscription.id, siblings);
+    } else {
+      this._ids.delete(subscription.id);
+    }
+
+    if (subscription.matcher) {
+      this._patterns = this._patterns.filter(item => item !== subscription);
+      return;
+    }
+
+    this._removeFromNode(this._root, subscription, 0);
+  }
+
+  removeById(id) {
+    (this._ids.get(id) || []).forEach(subscription => this.remove(subscription));
+  }
+
+  removeByName(name) {
+    this.getByName(name).forEach(subscription => this.remove(subscription));
+  }
+
+  getByName(name) {
+    const node = this._findNode(parsePath(name));
+    const subscriptions = node ? node.subscriptions.filter(subscription => subscription.name === name) : [];
+
+    return subscriptions.concat(this._patterns.filter(subscription => subscription.name === name));
+  }
+
+  getByPrefix(prefix) {
+    const node = this._findNode(parsePath(prefix));
+    const subscriptions = node ? this._getSubtree(node) : [];
+    const patterns = this._patterns.filter(subscription => {
+      return !prefix || subscription.name === prefix || subscription.name.indexOf(`${prefix}.`) === 0;
+    });
+
+    return subscriptions.concat(patterns);
+  }
+
+  getAll() {
+    return Array.from(this._subscriptions);
+  }
+
+  match(changes) {
+    const matches = new Map();
+    const addMatch = (subscriptions, change) => {
+      subscriptions.forEach(subscription => {
+        const list = matches.get(subscription);
+
+        if (!list) {
+          matches.set(subscription, [change]);
+        } else if (list[list.length - 1] !== change) {
+          list.push(change);
+        }
+      });
+    };
+
+    changes.forEach(change => {
+      if (!change.nameParts) {
+        addMatch(this.getAll().filter(subscription => !subscription.matcher), change);
+        return;
+      }
+
+      this._collect(change, subscriptions => addMatch(subscriptions, change));
+    });
+
+    this._patterns.forEach(subscription => matches.set(subscription, changes));
+
+    return Array.from(matches.keys())
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(subscription => ({ subscription, changes: matches.get(subscription) }));
+  }
+
+  _collect(change, add) {
+    let node = this._root;
+    let value = isPlainObject(change.modifiedData) ? change.modifiedData : undefined;
+
+    add(node.subscriptions);
+
+    for (let index = 0; index < change.nameParts.length; ++index) {
+      const part = change.nameParts[index];
+
+      node = node.children.get(part);
+      value = isPlainObject(value) ? value[part] : undefined;
+
+      if (!node) { return; }
+
+      add(node.subscriptions);
+    }
+
+    this._collectLeaves(node, value, add);
+  }
+
+  _collectLeaves(node, value, add) {
+    if (!isPlainObject(value)) { return; }
+
+    Object.keys(value).forEach(key => {
+      const child = node.children.get(key);
+
+      if (!child) { return; }
+
+      if (isPlainObject(value[key])) {
+        this._collectLeaves(child, value[key], add);
+      } else {
+        add(child.subscriptions);
+      }
+    });
+  }
+
+  _findNode(nameParts) {
+    return nameParts.reduce((node, part) => node && node.children.get(part), this._root);
+  }
+
+  _getSubtree(node) {
+    return Array.from(node.children.values()).reduce((list, child) => list.concat(this._getSubtree(child)), node.subscriptions);
+  }
+
+  _removeFromNode(node, subscription, depth) {
+    if (depth === subscription.nameParts.length) {
+      node.subscriptions = node.subscriptions.filter(item => item !== subscription);
+      return;
+    }
+
+    const part = subscription.nameParts[depth];
+    const child = node.children.get(part);
+
+    if (!child) { return; }
+
+    this._removeFromNode(child, subscription, depth + 1);
+
+    if (!child.subscriptions.length && !child.children.size) {
+      node.children.delete(part);
+    }
+  }
+}
@@ -0,0 +1,65 @@
+import { isPlainObject } from './deep-merge.js';
+import { appendPath } from './path.js';
+
+const isType = (value, type) => {
+  switch (type) {
+    case 'number': return typeof value === 'number' && !isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'object': return !!isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+const getSize = value => {
+  if (typeof value === 'number') { return value; }
+  if (typeof value === 'string' || Array.isArray(value)) { return value.length; }
+}
+
+export const getSubSchema = (schema, nameParts) => {
+  return nameParts.reduce((subSchema, key) => {
+    if (!subSchema) { return; }
+
+    return subSchema.properties ? subSchema.properties[key] : subSchema.items;
+  }, schema);
+}
+
+export const validateSchema = (value, schema, path = '') => {
+  const errors = [];
+  const addError = (rule, expected) => errors.push({ path, value, rule, expected });
+
+  if (value === undefined || value === null) {
+    if (schema.required) { addError('required', true); }
+
+    return errors;
+  }
+
+  if (schema.type && !isType(value, schema.type)) {
+    addError('type', schema.type);
+
+    return errors;
+  }
+
+  const size = getSize(value);
+
+  if (schema.min !== undefined && size !== undefined && size < schema.min) { addError('min', schema.min); }
+  if (schema.max !== undefined && size !== undefined && size > schema.max) { addError('max', schema.max); }
+
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    addError('pattern', schema.pattern);
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) { addError('enum', schema.enum); }
+
+  if (schema.properties && isPlainObject(value)) {
+    Object.keys(schema.properties).forEach(key => {
+      errors.push(...validateSchema(value[key], schema.properties[key], appendPath(path, key)));
+    });
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, appendPath(path, index))));
+  }
+
+  return errors;
+}
@@ -0,0 +1,87 @@
+import { normalizePath } from './path.js';
+
+export default class Scope {
+  constructor(state, prefix) {
+    this._state = state;
+    this._prefix = prefix;
+    this._subscriptions = [];
+    this._scopes = [];
+    this._isDisposed = false;
+  }
+
+  get(name) {
+    return this._state.get(this._resolve(name));
+  }
+
+  set(name, value, options) {
+    if (typeof name === 'object' && !Array.isArray(name)) {
+      const list = Object.keys(name).reduce((result, key) => {
+        result[this._resolve(key)] = name[key];
+        return result;
+      }, {});
+
+      return this._state.set(list, value).map(item => this._relativeResult(item));
+    }
+
+    return this._relativeResult(this._state.set(this._resolve(name), value, options));
+  }
+
+  setOptions(name, options) {
+    this._state.setOptions(this._resolve(name), options);
+  }
+
+  subscribe(name, callback, options) {
+    const names = Array.isArray(name) ? name.map(item => this._resolve(item)) : this._resolve(name);
+
+    if (this._isDisposed) { this._state._checkDisposedScope(this._prefix, names); }
+
+    const subscription = this._state.subscribe(names, (value, path, options, record) => {
+      callback(value, this._relative(path), options, { ...record, paths: record.paths.map(item => this._relative(item)) });
+    }, options);
+    const unsubscribe = () => {
+      subscription.unsubscribe();
+      this._subscriptions = this._subscriptions.filter(item => item !== unsubscribe);
+    };
+
+    this._subscriptions.push(unsubscribe);
+
+    return { unsubscribe };
+  }
+
+  unsubscribeAll(name) {
+    this._state.unsubscribeAll(this._resolve(name));
+  }
+
+  scope(name) {
+    const scope = new Scope(this._state, this._resolve(name));
+
+    this._scopes.push(scope);
+
+    return scope;
+  }
+
+  dispose() {
+    this._subscriptions.slice().forEach(unsubscribe => unsubscribe());
+    this._scopes.forEach(scope => scope.dispose());
+    this._scopes = [];
+    this._isDisposed = true;
+  }
+
+  _resolve(name) {
+    const path = normalizePath(name);
+
+    return path ? `${this._prefix}.${path}` : this._prefix;
+  }
+
+  _relative(path) {
+    if (path === this._prefix) { return ''; }
+
+    return path.indexOf(`${this._prefix}.`) === 0 ? path.slice(this._prefix.length + 1) : path;
+  }
+
+  _relativeResult(result) {
+    if (!result || typeof result.name !== 'string') { return result; }
+
+    return { ...result, name: this._relative(result.name) };
+  }
+}
@@ -0,0 +1,66 @@
+import { getComparator } from './equality.js';
+
+export default class Selector {
+  constructor(state, selector, options = {}) {
+    this._state = state;
+    this._selector = selector;
+    this._dependencies = options.deps;
+    this._equals = getComparator(options.equals);
+    this._callbacks = [];
+    this._isDirty = true;
+    this._value = undefined;
+    this._revision = null;
+    this._subscription = state.subscribe(this._dependencies || '', (value, name, options, record) => {
+      this._handleChange(record);
+    });
+  }
+
+  get() {
+    if (this._isDirty) {
+      const value = this._dependencies ?
+        this._selector(...this._dependencies.map(dependency => this._state.get(dependency))) :
+        this._selector(this._state.get());
+
+      this._isDirty = false;
+
+      if (!this._equals(this._value, value)) {
+        this._value = value;
+      }
+    }
+
+    return this._value;
+  }
+
+  subscribe(callback) {
+    this.get();
+    this._callbacks.push(callback);
+
+    return {
+      unsubscribe: () => {
+        this._callbacks = this._callbacks.filter(item => item !== callback);
+      }
+    };
+  }
+
+  dispose() {
+    this._subscription.unsubscribe();
+    this._callbacks = [];
+  }
+
+  _handleChange(record) {
+    if (record.revision === this._revision) { return; }
+
+    const previousValue = this._value;
+
+    this._revision = record.revision;
+    this._isDirty = true;
+
+    if (!this._callbacks.length) { return; }
+
+    const value = this.get();
+
+    if (value !== previousValue) {
+      this._callbacks.forEach(callback => callback(value, previousValue));
+    }
+  }
+}
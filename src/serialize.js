@@ -0,0 +1,119 @@
+import { isPlainObject } from './deep-merge.js';
+
+const TYPE_KEY = '$type';
+const SKIP = {};
+const classes = new Map();
+const functions = new Map();
+
+const findFunctionName = callback => {
+  for (const [name, registeredCallback] of functions) {
+    if (registeredCallback === callback) { return name; }
+  }
+}
+
+const findClassName = value => {
+  for (const [name, { Class }] of classes) {
+    if (value.constructor === Class) { return name; }
+  }
+}
+
+const encodeObject = object => {
+  return Object.keys(object).reduce((result, key) => {
+    const value = encode(object[key]);
+
+    if (value !== SKIP) { result[key] = value; }
+
+    return result;
+  }, {});
+}
+
+const encodeValue = value => {
+  if (value === undefined) { return { [TYPE_KEY]: 'undefined' }; }
+  if (typeof value === 'bigint') { return { [TYPE_KEY]: 'BigInt', value: value.toString() }; }
+  if (typeof value === 'number' && !isFinite(value)) { return { [TYPE_KEY]: 'Number', value: String(value) }; }
+
+  if (typeof value === 'function') {
+    const name = findFunctionName(value);
+
+    return name ? { [TYPE_KEY]: 'Function', value: name } : SKIP;
+  }
+
+  if (!value || typeof value !== 'object') { return value; }
+
+  if (value instanceof Date) {
+    return { [TYPE_KEY]: 'Date', value: isNaN(value.getTime()) ? null : value.toISOString() };
+  }
+
+  if (value instanceof Map) {
+    return { [TYPE_KEY]: 'Map', value: Array.from(value).map(([key, item]) => [encodeItem(key), encodeItem(item)]) };
+  }
+
+  if (value instanceof Set) { return { [TYPE_KEY]: 'Set', value: Array.from(value).map(encodeItem) }; }
+  if (Array.isArray(value)) { return value.map(encodeItem); }
+
+  if (isPlainObject(value)) {
+    const result = encodeObject(value);
+
+    return TYPE_KEY in value ? { [TYPE_KEY]: 'Object', value: result } : result;
+  }
+
+  const className = findClassName(value);
+
+  if (className) {
+    const { serialize } = classes.get(className);
+
+    return { [TYPE_KEY]: className, value: encode(serialize ? serialize(value) : { ...value }) };
+  }
+
+  return encodeObject(value);
+}
+
+const encodeItem = value => {
+  const result = encodeValue(value);
+
+  return result === SKIP ? { [TYPE_KEY]: 'undefined' } : result;
+}
+
+const decodeTagged = ({ [TYPE_KEY]: type, value }) => {
+  switch (type) {
+    case 'undefined': return undefined;
+    case 'BigInt': return BigInt(value);
+    case 'Number': return Number(value);
+    case 'Function': return functions.get(value);
+    case 'Date': return new Date(value === null ? NaN : value);
+    case 'Map': return new Map(value.map(([key, item]) => [decode(key), decode(item)]));
+    case 'Set': return new Set(value.map(decode));
+    case 'Object': return decodeObject(value);
+  }
+
+  if (!classes.has(type)) { return decode(value); }
+
+  const { Class, deserialize } = classes.get(type);
+  const data = decode(value);
+
+  return deserialize ? deserialize(data) : Object.assign(Object.create(Class.prototype), data);
+}
+
+const decodeObject = object => {
+  return Object.keys(object).reduce((result, key) => {
+    result[key] = decode(object[key]);
+    return result;
+  }, {});
+}
+
+export const encode = value => encodeValue(value);
+
+export const decode = value => {
+  if (Array.isArray(value)) { return value.map(decode); }
+  if (!isPlainObject(value)) { return value; }
+
+  return TYPE_KEY in value ? decodeTagged(value) : decodeObject(value);
+}
+
+export const registerClass = (name, Class, { serialize, deserialize } = {}) => {
+  classes.set(name, { Class, serialize, deserialize });
+}
+
+export const registerFunction = (name, callback) => {
+  functions.set(name, callback);
+}
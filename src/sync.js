@@ -0,0 +1,153 @@
+import { deepClone, deepMerge, isPlainObject, setIn } from './deep-merge.js';
+import { deepEqual } from './equality.js';
+import { normalizePath, parsePath } from './path.js';
+import { decode, encode } from './serialize.js';
+
+const MESSAGE_SOURCE = 'bamboo-state-sync';
+const IGNORED_ORIGINS = ['sync', 'hydrate'];
+
+const isRelated = (ancestor, name) => !ancestor || ancestor === name || name.indexOf(`${ancestor}.`) === 0;
+
+export default class Sync {
+  constructor(state, channel, options = {}) {
+    this._state = state;
+    this._channel = channel;
+    this._id = options.id || Math.random().toString(36).slice(2);
+    this._paths = (options.paths || ['']).map(normalizePath);
+    this._merge = options.merge || null;
+    this._clock = 0;
+    this._versions = {};
+    this._listener = event => this._handleMessage(event && event.data !== undefined ? event.data : event);
+    this._mutationListener = mutation => this._handleMutation(mutation);
+
+    state._mutationListeners.push(this._mutationListener);
+    channel.addEventListener('message', this._listener);
+
+    if (typeof channel.start === 'function') { channel.start(); }
+
+    this._post({ type: 'hello' });
+  }
+
+  dispose() {
+    this._state._mutationListeners = this._state._mutationListeners.filter(listener => listener !== this._mutationListener);
+    this._channel.removeEventListener('message', this._listener);
+  }
+
+  _handleMutation({ name, origin }) {
+    if (IGNORED_ORIGINS.indexOf(origin) !== -1) { return; }
+
+    const names = this._isSynced(name) ? [name] : this._paths.filter(path => isRelated(name, path));
+
+    names.forEach(item => this._broadcast(item));
+  }
+
+  _broadcast(name) {
+    const clock = ++this._clock;
+
+    this._versions[name] = { clock, id: this._id };
+    this._post({ type: 'set', name, value: encode(this._state.get(name)), clock });
+  }
+
+  _handleMessage(message) {
+    if (!message || message.source !== MESSAGE_SOURCE || message.id === this._id) { return; }
+
+    switch (message.type) {
+      case 'hello': this._sendState(message.id); break;
+      case 'state': this._receiveState(message); break;
+      case 'set': this._receiveSet(message); break;
+    }
+  }
+
+  _sendState(to) {
+    const subtrees = this._paths.map(name => ({
+      name, value: encode(this._state.get(name)), clock: 0, id: this._id, isSubtree: true
+    }));
+    const entries = subtrees.concat(Object.keys(this._versions).map(name => ({
+      name, value: encode(this._state.get(name)), ...this._versions[name]
+    })));
+
+    this._post({ type: 'state', to, entries, clock: this._clock });
+  }
+
+  _receiveState({ to, entries, clock }) {
+    if (to !== this._id) { return; }
+
+    this._clock = Math.max(this._clock, clock);
+    this._state.transaction(() => {
+      entries
+        .filter(({ name }) => this._isSynced(name))
+        .sort((a, b) => a.clock - b.clock)
+        .forEach(({ name, value, clock, id, isSubtree }) => {
+          if (isSubtree) {
+            this._applySubtree(name, decode(value));
+            return;
+          }
+
+          if (!this._isNewer(name, clock, id)) { return; }
+
+          this._versions[name] = { clock, id };
+          this._apply(name, decode(value));
+        });
+    });
+  }
+
+  _receiveSet({ id, name, value, clock }) {
+    if (!this._isSynced(name)) { return; }
+
+    const localVersion = this._versions[name];
+    const remoteValue = decode(value);
+
+    this._clock = Math.max(this._clock, clock);
+
+    if (this._merge) {
+      const localValue = this._state.get(name);
+
+      this._versions[name] = { clock, id };
+      this._apply(name, this._merge(localValue, remoteValue, {
+        name, localClock: localVersion ? localVersion.clock : 0, remoteClock: clock
+      }));
+      return;
+    }
+
+    if (!this._isNewer(name, clock, id)) { return; }
+
+    this._versions[name] = { clock, id };
+    this._apply(name, remoteValue);
+  }
+
+  _applySubtree(name, remoteValue) {
+    const localValue = this._state.get(name);
+    const value = isPlainObject(localValue) && isPlainObject(remoteValue) ?
+      deepMerge(deepClone(localValue), remoteValue) : remoteValue;
+    const mergedValue = Object.keys(this._versions).filter(path => isRelated(name, path)).reduce((result, path) => {
+      return setIn(result, parsePath(path).slice(parsePath(name).length), this._state.get(path));
+    }, value);
+
+    if (!deepEqual(localValue, mergedValue)) { this._apply(name, mergedValue); }
+  }
+
+  _isNewer(name, clock, id) {
+    const localVersion = this._versions[name];
+
+    return !localVersion || clock > localVersion.clock || (clock === localVersion.clock && id > localVersion.id);
+  }
+
+  _apply(name, value) {
+    if (!name) {
+      this._state._replaceData(value, 'sync');
+      return;
+    }
+
+    if (!this._state._isWritable(name, value, 'sync')) { return; }
+
+    this._state._replaceValue(name, value, {}, 'sync', false);
+  }
+
+  _isSynced(name) {
+    return this._paths.some(path => isRelated(path, name));
+  }
+
+  _post(message) {
+    this._channel.postMessage({ source: MESSAGE_SOURCE, id: this._id, ...message });
+  }
+}
@@ -0,0 +1,167 @@
+import camelcaseKeys from 'camelcase-keys-recursive';
+import { isPlainObject } from './deep-merge.js';
+
+const types = new Map();
+
+const parseJSON = value => {
+  if (typeof value !== 'string') { return value; }
+
+  try { return JSON.parse(value); } catch(error) { return value; }
+}
+
+const parseNumber = parser => ({
+  parse: value => parser(value),
+  validate: value => !isNaN(value),
+  fallback: 0
+});
+
+const getTypeName = type => typeof type === 'object' ? type.type : type;
+
+const describeType = type => {
+  if (typeof type === 'object') { return { name: type.type, parameter: type }; }
+
+  const match = /^([\w-]+)<(.*)>$/.exec(type);
+
+  return match ? { name: match[1], parameter: match[2] } : { name: type, parameter: undefined };
+}
+
+const getArrayItemType = parameter => typeof parameter === 'string' ? parameter : parameter && parameter.items;
+
+export const toBoolean = value => value !== undefined && value !== null && value !== false && value !== 'false';
+
+export const registerType = (name, definition) => {
+  types.set(name, definition);
+}
+
+export const parseValue = (value, type, context = {}) => {
+  const { name, parameter } = describeType(type);
+  const definition = types.get(name);
+
+  if (!definition) { return value; }
+
+  const { onError = () => {}, options = {} } = context;
+  const typeContext = {
+    ...context,
+    parameter,
+    parse: (item, itemType) => parseValue(item, itemType, { onError })
+  };
+  const result = definition.parse ? definition.parse(value, typeContext) : value;
+
+  if (!definition.validate || definition.validate(result, typeContext)) { return result; }
+
+  onError('type', getTypeName(type));
+
+  if ('fallback' in definition) { return definition.fallback; }
+
+  return options.defaultValue !== undefined ? options.defaultValue : null;
+}
+
+export const getItemType = type => {
+  const { name, parameter } = describeType(type);
+
+  return name === 'array' ? getArrayItemType(parameter) : undefined;
+}
+
+export const serializeValue = (value, type) => {
+  const { name, parameter } = describeType(type);
+  const definition = types.get(name);
+
+  if (!definition || !definition.serialize) { return value; }
+
+  return definition.serialize(value, { parameter, serialize: serializeValue });
+}
+
+registerType('custom', {
+  parse: (value, { oldValue, options }) => {
+    return typeof options.function === 'function' ? options.function(value, oldValue, options.defaultValue) : value;
+  }
+});
+
+registerType('number', parseNumber(Number));
+registerType('integer', parseNumber(parseInt));
+registerType('float', parseNumber(parseFloat));
+
+registerType('boolean', {
+  parse: toBoolean
+});
+
+registerType('string', {
+  parse: value => value === undefined || value === null ? '' : String(value)
+});
+
+registerType('json', {
+  parse: value => {
+    if (typeof value !== 'string') { return value; }
+
+    value = parseJSON(value);
+
+    try { value = camelcaseKeys(value); } catch(error) {}
+
+    return value;
+  },
+  serialize: value => JSON.stringify(value)
+});
+
+registerType('date', {
+  parse: value => value instanceof Date || value === undefined || value === null ? value : new Date(value),
+  validate: value => value instanceof Date && !isNaN(value.getTime()),
+  serialize: value => value instanceof Date ? value.toISOString() : value
+});
+
+registerType('enum', {
+  validate: (value, { parameter }) => {
+    const values = typeof parameter === 'string' ? parameter.split('|').map(item => item.trim()) : parameter && parameter.values;
+
+    return Array.isArray(values) && values.indexOf(value) !== -1;
+  }
+});
+
+registerType('nullable', {
+  parse: (value, { parameter, parse }) => {
+    const itemType = typeof parameter === 'string' ? parameter : parameter.of;
+
+    return value === undefined || value === null ? null : parse(value, itemType);
+  }
+});
+
+registerType('array', {
+  parse: (value, { parameter, parse }) => {
+    const itemType = getArrayItemType(parameter);
+
+    value = parseJSON(value);
+
+    return Array.isArray(value) && itemType ? value.map(item => parse(item, itemType)) : value;
+  },
+  validate: value => Array.isArray(value),
+  serialize: (value, { parameter, serialize }) => {
+    const itemType = getArrayItemType(parameter);
+
+    return Array.isArray(value) && itemType ? value.map(item => serialize(item, itemType)) : value;
+  }
+});
+
+registerType('object', {
+  parse: (value, { parameter, parse }) => {
+    const properties = parameter && parameter.properties;
+
+    value = parseJSON(value);
+
+    if (!properties || !isPlainObject(value)) { return value; }
+
+    return Object.keys(properties).reduce((result, key) => {
+      if (key in value) { result[key] = parse(value[key], properties[key]); }
+      return result;
+    }, { ...value });
+  },
+  validate: value => isPlainObject(value),
+  serialize: (value, { parameter, serialize }) => {
+    const properties = parameter && parameter.properties;
+
+    if (!properties || !isPlainObject(value)) { return value; }
+
+    return Object.keys(properties).reduce((result, key) => {
+      if (key in value) { result[key] = serialize(value[key], properties[key]); }
+      return result;
+    }, { ...value });
+  }
+});
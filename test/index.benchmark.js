@@ -0,0 +1,60 @@
+import State from '../src/index.js';
+
+const now = () => Number(process.hrtime.bigint()) / 1e6;
+
+const measure = (name, iterations, callback) => {
+  const start = now();
+
+  for (let index = 0; index < iterations; ++index) {
+    callback(index);
+  }
+
+  const duration = now() - start;
+
+  console.log(`${name.padEnd(48)} ${(iterations / duration * 1000).toFixed(0).padStart(10)} ops/sec`);
+}
+
+const createTable = (rows, columns) => {
+  const state = new State({ table: {} });
+  let callbackCount = 0;
+
+  for (let row = 0; row < rows; ++row) {
+    for (let column = 0; column < columns; ++column) {
+      state.subscribe(`table.${row}.${column}`, () => ++callbackCount);
+    }
+  }
+
+  return { state, getCallbackCount: () => callbackCount };
+}
+
+[1000, 10000].forEach(count => {
+  const { state, getCallbackCount } = createTable(count / 10, 10);
+
+  measure(`set cell with ${count} subscriptions`, 2000, index => {
+    state.set(`table.${index % (count / 10)}.${index % 10}`, index);
+  });
+
+  if (getCallbackCount() !== 2000) {
+    throw new Error(`Expected 2000 callbacks, got ${getCallbackCount()}`);
+  }
+
+  measure(`set row with ${count} subscriptions`, 200, index => {
+    state.set(`table.${index % (count / 10)}`, { 0: index, 1: index });
+  });
+
+  measure(`subscribe and unsubscribe with ${count} subscriptions`, 2000, index => {
+    state.subscribe(`table.${index % (count / 10)}.0`, () => {}).unsubscribe();
+  });
+});
+
+(() => {
+  const state = new State();
+
+  for (let index = 0; index < 1000; ++index) {
+    state.setOptions(`options.${index}`, { type: 'number' });
+  }
+
+  measure('set with 1000 options', 10000, index => {
+    state.set(`options.${index % 1000}`, String(index));
+  });
+})();
@@ -2,7 +2,7 @@ import chai from 'chai';
 import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 
-import State from '../src/index.js';
+import State, { MemoryAdapter, StorageAdapter, AsyncAdapter } from '../src/index.js';
 
 chai.use(sinonChai);
 global.expect = chai.expect;
@@ -588,4 +588,3827 @@ describe('State', () => {
 
   });
 
+  describe('.transaction(callback, [options])', () => {
+    it('calls subscription callbacks once on commit', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('a', subscribeSpy);
+      state.transaction(() => {
+        state.set('a.b', 1);
+        state.set('a.c', 2);
+
+        expect(subscribeSpy).not.to.have.been.called;
+      });
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy).to.have.been.calledWith({ b: 1, c: 2 }, 'a');
+    });
+
+    it('calls only subscriptions of changed paths', () => {
+      const subscribeSpy = sinon.spy();
+      const otherSubscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('a', subscribeSpy);
+      state.subscribe('b', otherSubscribeSpy);
+      state.transaction(() => state.set('a', 1));
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(otherSubscribeSpy).not.to.have.been.called;
+    });
+
+    it('calls subscription callbacks with options', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('a', subscribeSpy);
+      state.transaction(() => state.set('a', 1), { b: true });
+
+      expect(subscribeSpy).to.have.been.calledWith(1, 'a', { b: true });
+    });
+
+    it('returns the result of callback', () => {
+      const state = new State();
+
+      const result = state.transaction(() => state.set('a', 1));
+
+      expect(result).to.deep.equal({ name: 'a', value: 1 });
+    });
+
+    it('rolls back data when callback throws error', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: { b: 1 } });
+
+      state.subscribe('a', subscribeSpy);
+
+      expect(() => state.transaction(() => {
+        state.set('a.b', 2);
+        state.set('a.c', 3);
+        throw new Error('test error');
+      })).to.throw('test error');
+
+      expect(state.get('a')).to.deep.equal({ b: 1 });
+      expect(subscribeSpy).not.to.have.been.called;
+    });
+
+    it('rolls back options when callback throws error', () => {
+      const state = new State();
+
+      expect(() => state.transaction(() => {
+        state.set('a', 1, { defaultValue: 2 });
+        throw new Error('test error');
+      })).to.throw();
+
+      expect(state.getDefaultValue('a')).to.equal(undefined);
+    });
+
+    it('commits after returned promise resolves', async () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('a', subscribeSpy);
+
+      const promise = state.transaction(async transactionState => {
+        state.set('a', 1);
+        await Promise.resolve();
+        transactionState.set('b', 2);
+      });
+
+      expect(subscribeSpy).not.to.have.been.called;
+
+      await promise;
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(state.get()).to.deep.equal({ a: 1, b: 2 });
+    });
+
+    it('rolls back data when returned promise rejects', async () => {
+      const state = new State({ a: 1 });
+
+      let error;
+
+      try {
+        await state.transaction(async () => {
+          state.set('a', 2);
+          await Promise.resolve();
+          throw new Error('test error');
+        });
+      } catch (caughtError) {
+        error = caughtError;
+      }
+
+      expect(error.message).to.equal('test error');
+      expect(state.get('a')).to.equal(1);
+    });
+
+    it('stages writes made through callback argument after await', async () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 0, b: 0 });
+
+      state.subscribe('b', subscribeSpy);
+
+      const promise = state.transaction(async transactionState => {
+        await Promise.resolve();
+        transactionState.set('b', 1);
+        await Promise.resolve();
+        throw new Error('test error');
+      });
+
+      await promise.catch(() => {});
+
+      expect(state.get('b')).to.equal(0);
+      expect(subscribeSpy).not.to.have.been.called;
+    });
+
+    it('does not stage outside writes while waiting for returned promise', async () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 0, b: 0 });
+
+      sandbox.stub(console, 'warn');
+
+      state.subscribe('b', subscribeSpy);
+
+      const promise = state.transaction(async () => {
+        state.set('a', 1);
+        await null;
+        throw new Error('test error');
+      });
+
+      state.set('b', 5);
+
+      expect(subscribeSpy).to.have.been.calledOnceWith(5, 'b');
+
+      await promise.catch(() => {});
+
+      expect(state.get()).to.deep.equal({ a: 0, b: 5 });
+      expect(console.warn).to.have.been.calledOnceWith(
+        'Write to "b" is not part of the pending transaction and will not be rolled back'
+      );
+    });
+
+    it('rolls back writes without subscription callbacks', async () => {
+      const state = new State({ a: 0, b: 0 });
+
+      const promise = state.transaction(async transactionState => {
+        transactionState.set('a', 1);
+        transactionState.set('b', 2, { triggerSubscriptionCallback: false });
+        await null;
+        throw new Error('test error');
+      });
+
+      await promise.catch(() => {});
+
+      expect(state.get()).to.deep.equal({ a: 0, b: 0 });
+    });
+
+    it('rolls back created parents and options', () => {
+      const state = new State({ a: { b: 1 } });
+
+      expect(() => state.transaction(() => {
+        state.set('a.b', 2);
+        state.set('c.d.e', 3);
+        state.setOptions('a.b', { type: 'number' });
+        state.set('a', { f: 4 });
+        throw new Error('test error');
+      })).to.throw('test error');
+
+      expect(state.get()).to.deep.equal({ a: { b: 1 } });
+
+      state.set('a.b', '5');
+
+      expect(state.get('a.b')).to.equal('5');
+    });
+
+    it('does not copy the whole state', () => {
+      const state = new State({ a: 1, b: { c: 2 } });
+
+      sandbox.spy(state, 'snapshot');
+      state.set({ a: 2 });
+
+      expect(state.snapshot).to.not.have.been.called;
+    });
+
+    it('joins nested transaction to the outer one', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('', subscribeSpy);
+      state.transaction(() => {
+        state.set('a', 1);
+        state.transaction(() => state.set('b', 2));
+      });
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+    });
+
+    it('is used by setting multiple data', () => {
+      const subscribeSpy = sinon.spy();
+      const otherSubscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe(['a', 'b'], subscribeSpy);
+      state.subscribe('c', otherSubscribeSpy);
+      state.set({ a: 1, b: 2 });
+
+      expect(subscribeSpy).to.have.been.calledTwice;
+      expect(otherSubscribeSpy).not.to.have.been.called;
+    });
+  });
+
+  describe('.undo() and .redo()', () => {
+    it('does nothing when history is not enabled', () => {
+      const state = new State();
+
+      state.set('a', 1);
+
+      expect(state.canUndo()).to.equal(false);
+      expect(state.undo()).to.equal(false);
+      expect(state.get('a')).to.equal(1);
+    });
+
+    it('restores previous value', () => {
+      const state = new State({ a: 1 }, { history: true });
+
+      state.set('a', 2);
+
+      expect(state.canUndo()).to.equal(true);
+      expect(state.undo()).to.equal(true);
+      expect(state.get('a')).to.equal(1);
+      expect(state.canUndo()).to.equal(false);
+    });
+
+    it('restores replaced object instead of merging', () => {
+      const state = new State({ a: { b: 1 } }, { history: true });
+
+      state.set('a', { c: 2 });
+      state.undo();
+
+      expect(state.get('a')).to.deep.equal({ b: 1 });
+
+      state.redo();
+
+      expect(state.get('a')).to.deep.equal({ b: 1, c: 2 });
+    });
+
+    it('removes previously undefined value', () => {
+      const state = new State({}, { history: true });
+
+      state.set('a.b', 1);
+      state.undo();
+
+      expect(state.get('a')).to.deep.equal({});
+    });
+
+    it('restores next value with redo', () => {
+      const state = new State({ a: 1 }, { history: true });
+
+      state.set('a', 2);
+      state.undo();
+
+      expect(state.canRedo()).to.equal(true);
+      expect(state.redo()).to.equal(true);
+      expect(state.get('a')).to.equal(2);
+      expect(state.canRedo()).to.equal(false);
+    });
+
+    it('clears redo history on set', () => {
+      const state = new State({ a: 1 }, { history: true });
+
+      state.set('a', 2);
+      state.undo();
+      state.set('a', 3);
+
+      expect(state.canRedo()).to.equal(false);
+    });
+
+    it('calls subscription callbacks with restored value', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 1 }, { history: true });
+
+      state.set('a', 2, { b: true });
+      state.subscribe('a', subscribeSpy);
+      state.undo();
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy).to.have.been.calledWith(1, 'a', { b: true });
+    });
+
+    it('undoes multiple set as one step', () => {
+      const state = new State({ a: 1, b: 1 }, { history: true });
+
+      state.set({ a: 2, b: 2 });
+      state.undo();
+
+      expect(state.get()).to.deep.equal({ a: 1, b: 1 });
+    });
+
+    it('undoes transaction as one step', () => {
+      const state = new State({ a: 1 }, { history: true });
+
+      state.transaction(() => {
+        state.set('a', 2);
+        state.set('a', 3);
+      });
+      state.undo();
+
+      expect(state.get('a')).to.equal(1);
+    });
+
+    it('does not record rolled back transaction', () => {
+      const state = new State({ a: 1 }, { history: true });
+
+      expect(() => state.transaction(() => {
+        state.set('a', 2);
+        throw new Error('test error');
+      })).to.throw();
+
+      expect(state.canUndo()).to.equal(false);
+    });
+
+    it('keeps history up to depth', () => {
+      const state = new State({ a: 0 }, { history: { depth: 2 } });
+
+      state.set('a', 1);
+      state.set('a', 2);
+      state.set('a', 3);
+      state.undo();
+      state.undo();
+
+      expect(state.canUndo()).to.equal(false);
+      expect(state.get('a')).to.equal(1);
+    });
+
+    it('records only given paths', () => {
+      const state = new State({ form: { a: 1 }, b: 1 }, { history: { paths: ['form'] } });
+
+      state.set('form.a', 2);
+      state.set('b', 2);
+      state.undo();
+
+      expect(state.get()).to.deep.equal({ form: { a: 1 }, b: 2 });
+      expect(state.canUndo()).to.equal(false);
+    });
+
+    it('records paths matching given patterns', () => {
+      const state = new State({ form: { a: 1, b: { c: 1 } }, other: 1 }, { history: { paths: ['form.*'] } });
+
+      state.set('form.a', 2);
+      state.set('form.b.c', 2);
+      state.set('other', 2);
+
+      expect(state.canUndo()).to.equal(true);
+
+      state.undo();
+      state.undo();
+
+      expect(state.get()).to.deep.equal({ form: { a: 1, b: { c: 1 } }, other: 2 });
+      expect(state.canUndo()).to.equal(false);
+    });
+  });
+
+  describe('.clearHistory()', () => {
+    it('removes every history entry', () => {
+      const state = new State({ a: 1 }, { history: true });
+
+      state.set('a', 2);
+      state.set('a', 3);
+      state.undo();
+      state.clearHistory();
+
+      expect(state.canUndo()).to.equal(false);
+      expect(state.canRedo()).to.equal(false);
+    });
+  });
+
+  describe('.computed(name, dependencies, callback)', () => {
+    it('returns computed value with .get', () => {
+      const state = new State({ cart: { items: [1, 2] }, tax: { rate: 2 } });
+
+      state.computed('cart.total', ['cart.items', 'tax.rate'], (items, rate) => items.reduce((sum, item) => sum + item, 0) * rate);
+
+      expect(state.get('cart.total')).to.equal(6);
+    });
+
+    it('returns deep value of computed object', () => {
+      const state = new State({ a: 1 });
+
+      state.computed('b', ['a'], a => ({ c: a + 1 }));
+
+      expect(state.get('b.c')).to.equal(2);
+    });
+
+    it('does not recompute value without dependency change', () => {
+      const computeSpy = sinon.spy(a => a + 1);
+      const state = new State({ a: 1, b: 1 });
+
+      state.computed('c', ['a'], computeSpy);
+      state.set('b', 2);
+      state.get('c');
+      state.get('c');
+
+      expect(computeSpy).to.have.been.calledOnce;
+    });
+
+    it('recomputes value on dependency change', () => {
+      const state = new State({ a: 1 });
+
+      state.computed('b', ['a'], a => a + 1);
+      state.set('a', 2);
+
+      expect(state.get('b')).to.equal(3);
+    });
+
+    it('recomputes value on deep dependency change', () => {
+      const state = new State({ cart: { items: { 3: { qty: 1 } } } });
+
+      state.computed('total', ['cart.items'], items => items[3].qty * 10);
+      state.set('cart.items.3.qty', 2);
+
+      expect(state.get('total')).to.equal(20);
+    });
+
+    it('recomputes value on parent dependency change', () => {
+      const state = new State({ a: { b: 1 } });
+
+      state.computed('c', ['a.b'], b => b + 1);
+      state.set('a', { b: 2 });
+
+      expect(state.get('c')).to.equal(3);
+    });
+
+    it('recomputes value depending on other computed value', () => {
+      const state = new State({ a: 1 });
+
+      state.computed('b', ['a'], a => a + 1);
+      state.computed('c', ['b'], b => b * 2);
+      state.set('a', 2);
+
+      expect(state.get('c')).to.equal(6);
+    });
+
+    it('calls subscription callback when computed value changes', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 1 });
+
+      state.computed('b', ['a'], a => a + 1);
+      state.subscribe('b', subscribeSpy);
+      state.set('a', 2);
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy).to.have.been.calledWith(3, 'b');
+    });
+
+    it('does not call subscription callback when computed value remains the same', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 1 });
+
+      state.computed('b', ['a'], a => a > 0);
+      state.subscribe('b', subscribeSpy);
+      state.set('a', 2);
+
+      expect(subscribeSpy).not.to.have.been.called;
+    });
+
+    it('throws error when setting computed value', () => {
+      const state = new State({ a: 1 });
+
+      state.computed('b.c', ['a'], a => a + 1);
+
+      expect(() => state.set('b.c', 1)).to.throw('Cannot set "b.c", "b.c" is a computed value');
+      expect(() => state.set('b.c.d', 1)).to.throw('"b.c" is a computed value');
+      expect(() => state.set('b', { c: 1 })).to.throw('"b.c" is a computed value');
+      expect(() => state.set('b', { d: 1 })).not.to.throw();
+    });
+  });
+
+  describe('validation', () => {
+    it('returns errors of coerced value', () => {
+      const state = new State();
+
+      state.setOptions('a', { type: 'number' });
+      const result = state.set('a', 'test');
+
+      expect(state.get('a')).to.equal(0);
+      expect(result).to.deep.equal({
+        name: 'a',
+        value: 0,
+        errors: [{ path: 'a', value: 'test', rule: 'type', expected: 'number' }]
+      });
+    });
+
+    it('returns errors of not allowed value', () => {
+      const state = new State();
+
+      state.setOptions('a', { allowedValues: ['lorem', 'ipsum'] });
+      const result = state.set('a', 'dolor');
+
+      expect(result.errors).to.deep.equal([{ path: 'a', value: 'dolor', rule: 'allowedValues', expected: ['lorem', 'ipsum'] }]);
+    });
+
+    it('keeps old value in reject mode', () => {
+      const state = new State({ a: 1 });
+
+      state.setOptions('a', { type: 'number', validation: 'reject', defaultValue: 1 });
+      const result = state.set('a', 'test');
+
+      expect(state.get('a')).to.equal(1);
+      expect(result.value).to.equal(1);
+      expect(result.errors).to.have.length(1);
+    });
+
+    it('does not call subscription callback in reject mode', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({}, { validation: 'reject', schema: { a: { type: 'string' } } });
+
+      state.subscribe('a', subscribeSpy);
+      state.set('a', 1);
+
+      expect(subscribeSpy).not.to.have.been.called;
+      expect(state.get('a')).to.equal(undefined);
+    });
+
+    it('sets value and warns in warn mode', () => {
+      const warnStub = sandbox.stub(console, 'warn');
+      const state = new State({}, { validation: 'warn', schema: { a: { type: 'string' } } });
+
+      state.set('a', 1);
+
+      expect(state.get('a')).to.equal(1);
+      expect(warnStub).to.have.been.calledOnce;
+    });
+
+    it('calls validation error callbacks', () => {
+      const errorSpy = sinon.spy();
+      const state = new State({}, { schema: { a: { min: 2 } } });
+
+      state.onValidationError(errorSpy);
+      state.set('a', 1);
+
+      expect(errorSpy).to.have.been.calledOnce;
+      expect(errorSpy).to.have.been.calledWith({ path: 'a', value: 1, rule: 'min', expected: 2 });
+    });
+
+    it('does not call validation error callback after unsubscribe', () => {
+      const errorSpy = sinon.spy();
+      const state = new State({}, { schema: { a: { min: 2 } } });
+
+      state.onValidationError(errorSpy).unsubscribe();
+      state.set('a', 1);
+
+      expect(errorSpy).not.to.have.been.called;
+    });
+
+    it('keeps default value options of schema given in constructor', () => {
+      const state = new State({ a: 1 }, { schema: { a: { type: 'number' } } });
+
+      expect(state.getDefaultValue('a')).to.equal(1);
+    });
+
+    context('schema', () => {
+      const validate = (schema, value, name = 'a') => {
+        const state = new State({}, { validation: 'reject' });
+
+        state.setOptions('a', { schema });
+
+        return (state.set(name, value).errors || []).map(error => `${error.path}:${error.rule}`);
+      };
+
+      it('type', () => {
+        expect(validate({ type: 'string' }, 1)).to.deep.equal(['a:type']);
+        expect(validate({ type: 'integer' }, 1.5)).to.deep.equal(['a:type']);
+        expect(validate({ type: 'array' }, {})).to.deep.equal(['a:type']);
+        expect(validate({ type: 'object' }, {})).to.deep.equal([]);
+      });
+
+      it('required', () => {
+        expect(validate({ required: true }, null)).to.deep.equal(['a:required']);
+        expect(validate({ required: true }, 0)).to.deep.equal([]);
+      });
+
+      it('min and max', () => {
+        expect(validate({ min: 1, max: 2 }, 3)).to.deep.equal(['a:max']);
+        expect(validate({ min: 1, max: 2 }, '')).to.deep.equal(['a:min']);
+        expect(validate({ min: 1, max: 2 }, [1, 2])).to.deep.equal([]);
+      });
+
+      it('pattern', () => {
+        expect(validate({ pattern: '^[a-z]+$' }, 'A')).to.deep.equal(['a:pattern']);
+        expect(validate({ pattern: /^[a-z]+$/ }, 'a')).to.deep.equal([]);
+      });
+
+      it('enum', () => {
+        expect(validate({ enum: ['b', 'c'] }, 'd')).to.deep.equal(['a:enum']);
+      });
+
+      it('nested object', () => {
+        const schema = { type: 'object', properties: { b: { type: 'number' }, c: { required: true } } };
+
+        expect(validate(schema, { b: '1' })).to.deep.equal(['a.b:type', 'a.c:required']);
+        expect(validate(schema, '1', 'a.b')).to.deep.equal(['a.b:type']);
+      });
+
+      it('array items', () => {
+        const schema = { type: 'array', items: { type: 'number' } };
+
+        expect(validate(schema, [1, '2'])).to.deep.equal(['a.1:type']);
+      });
+
+      it('validates merged object', () => {
+        const state = new State({ a: { b: 1 } }, {
+          validation: 'reject',
+          schema: { a: { properties: { b: { required: true }, c: { type: 'number' } } } }
+        });
+
+        expect(state.set('a', { c: 2 }).errors).to.equal(undefined);
+      });
+
+      it('validates deep schema of parent value', () => {
+        const state = new State({}, { validation: 'reject', schema: { 'a.b': { type: 'number' } } });
+
+        const result = state.set('a', { b: '1' });
+
+        expect(result.errors).to.deep.equal([{ path: 'a.b', value: '1', rule: 'type', expected: 'number' }]);
+        expect(state.get('a')).to.equal(undefined);
+      });
+    });
+  });
+
+  describe('persistence', () => {
+    it('saves data of given paths', () => {
+      const adapter = new MemoryAdapter();
+      const state = new State({}, { persist: { adapter, key: 'test', paths: ['a'], debounce: 0 } });
+
+      state.set('a.b', 1);
+      state.set('c', 2);
+
+      expect(adapter.getItem('test')).to.deep.equal({ version: 1, data: { a: { b: 1 } } });
+    });
+
+    it('debounces saving', () => {
+      const clock = sandbox.useFakeTimers();
+      const adapter = new MemoryAdapter();
+      const setItemSpy = sandbox.spy(adapter, 'setItem');
+      const state = new State({}, { persist: { adapter, debounce: 50 } });
+
+      state.set('a', 1);
+      state.set('a', 2);
+
+      expect(setItemSpy).not.to.have.been.called;
+
+      clock.tick(50);
+
+      expect(setItemSpy).to.have.been.calledOnce;
+      expect(adapter.getItem('bamboo-state')).to.deep.equal({ version: 1, data: { '': { a: 2 } } });
+    });
+
+    it('saves immediately with flush', () => {
+      const adapter = new MemoryAdapter();
+      const state = new State({}, { persist: { adapter } });
+
+      state.set('a', 1);
+      state.persistence.flush();
+
+      expect(adapter.getItem('bamboo-state').data).to.deep.equal({ '': { a: 1 } });
+    });
+
+    it('removes saved data with clear', () => {
+      const adapter = new MemoryAdapter();
+      const state = new State({}, { persist: { adapter, debounce: 0 } });
+
+      state.set('a', 1);
+      state.persistence.clear();
+
+      expect(adapter.getItem('bamboo-state')).to.equal(undefined);
+    });
+
+    it('hydrates data before applying defaults', () => {
+      const adapter = new MemoryAdapter();
+
+      adapter.setItem('test', { version: 1, data: { a: { b: 2 } } });
+
+      const state = new State({ a: { b: 1, c: 1 } }, { persist: { adapter, key: 'test', paths: ['a'] } });
+
+      expect(state.get('a')).to.deep.equal({ b: 2, c: 1 });
+      expect(state.getDefaultValue('a.b')).to.equal(1);
+    });
+
+    it('hydrates only given paths', () => {
+      const adapter = new MemoryAdapter();
+
+      adapter.setItem('test', { version: 1, data: { a: 2, b: 2 } });
+
+      const state = new State({ a: 1, b: 1 }, { persist: { adapter, key: 'test', paths: ['a'] } });
+
+      expect(state.get()).to.deep.equal({ a: 2, b: 1 });
+    });
+
+    it('migrates data of previous versions', () => {
+      const adapter = new MemoryAdapter();
+
+      adapter.setItem('test', { version: 1, data: { '': { name: 'test' } } });
+
+      const state = new State({}, {
+        persist: {
+          adapter,
+          key: 'test',
+          version: 3,
+          migrations: {
+            2: data => ({ '': { user: data[''] } }),
+            3: data => ({ '': { ...data[''], version: 3 } })
+          }
+        }
+      });
+
+      expect(state.get()).to.deep.equal({ user: { name: 'test' }, version: 3 });
+    });
+
+    it('ignores data of newer versions', () => {
+      const adapter = new MemoryAdapter();
+
+      adapter.setItem('test', { version: 2, data: { '': { a: 2 } } });
+
+      const state = new State({ a: 1 }, { persist: { adapter, key: 'test' } });
+
+      expect(state.get('a')).to.equal(1);
+    });
+
+    it('works with Storage', () => {
+      const items = {};
+      const storage = {
+        getItem: key => items[key] === undefined ? null : items[key],
+        setItem: (key, value) => { items[key] = value; },
+        removeItem: key => { delete items[key]; }
+      };
+      const state = new State({}, { persist: { adapter: new StorageAdapter(storage), key: 'test', debounce: 0 } });
+
+      state.set('a', 1);
+
+      expect(items.test).to.equal('{"version":1,"data":{"":{"a":1}}}');
+      expect(new State({}, { persist: { adapter: new StorageAdapter(storage), key: 'test' } }).get('a')).to.equal(1);
+    });
+
+    it('hydrates asynchronously and calls subscription callbacks', async () => {
+      const subscribeSpy = sinon.spy();
+      const items = { test: { version: 1, data: { a: 2 } } };
+      const adapter = new AsyncAdapter({
+        get: key => Promise.resolve(items[key]),
+        set: (key, value) => { items[key] = value; }
+      });
+      const state = new State({ a: 1 }, { persist: { adapter, key: 'test', paths: ['a'], debounce: 0 } });
+
+      state.subscribe('a', subscribeSpy);
+
+      expect(state.get('a')).to.equal(1);
+
+      await state.persistence.hydrated;
+
+      expect(state.get('a')).to.equal(2);
+      expect(subscribeSpy).to.have.been.calledWith(2, 'a');
+      expect(items.test).to.deep.equal({ version: 1, data: { a: 2 } });
+
+      state.set('a', 3);
+
+      expect(items.test).to.deep.equal({ version: 1, data: { a: 3 } });
+    });
+
+    it('reports failed async hydration through onError', async () => {
+      const error = new Error('unavailable');
+      const onError = sinon.spy();
+      const adapter = new AsyncAdapter({ get: () => Promise.reject(error), set: () => {} });
+      const state = new State({ a: 1 }, { persist: { adapter, debounce: 0, onError } });
+
+      await state.persistence.hydrated;
+      state.set('a', 2);
+
+      expect(onError).to.have.been.calledOnceWith(error);
+      expect(state.get('a')).to.equal(2);
+    });
+
+    it('reports failed writes through onError', () => {
+      const clock = sandbox.useFakeTimers();
+      const error = new Error('QuotaExceededError');
+      const onError = sinon.spy();
+      const storage = { getItem: () => null, setItem: () => { throw error; } };
+      const state = new State({}, { persist: { adapter: new StorageAdapter(storage), debounce: 10, onError } });
+
+      state.set('a', 1);
+
+      expect(() => clock.tick(10)).to.not.throw();
+      expect(onError).to.have.been.calledOnceWith(error);
+    });
+
+    it('reports rejected async writes through onError', async () => {
+      const error = new Error('failed');
+      const onError = sinon.spy();
+      const adapter = new AsyncAdapter({ get: () => undefined, set: () => Promise.reject(error) });
+      const state = new State({}, { persist: { adapter, debounce: 0, onError } });
+
+      await state.persistence.hydrated;
+      state.set('a', 1);
+      await state.persistence.flush();
+
+      expect(onError).to.have.been.calledTwice;
+      expect(onError).to.have.been.calledWith(error);
+    });
+
+    it('keeps writes made before async hydration', async () => {
+      const items = { test: { version: 1, data: { '': { x: 1, a: { b: 1, c: 1 } } } } };
+      const adapter = new AsyncAdapter({
+        get: key => Promise.resolve(items[key]),
+        set: (key, value) => { items[key] = value; }
+      });
+      const state = new State({}, { persist: { adapter, key: 'test', debounce: 0 } });
+
+      state.set('x', 42);
+      state.set('a.b', 2);
+      await state.persistence.hydrated;
+
+      expect(state.get()).to.deep.equal({ x: 42, a: { b: 2, c: 1 } });
+      expect(items.test).to.deep.equal({ version: 1, data: { '': { x: 42, a: { b: 2, c: 1 } } } });
+    });
+
+    it('reports failed migrations through onError', async () => {
+      const error = new Error('migration failed');
+      const onError = sinon.spy();
+      const migrations = { 2: () => { throw error; } };
+      const adapter = new AsyncAdapter({ get: () => ({ version: 1, data: { a: 2 } }), set: () => {} });
+      const state = new State({ a: 1 }, { persist: { adapter, version: 2, migrations, debounce: 0, onError } });
+
+      await state.persistence.hydrated;
+
+      expect(onError).to.have.been.calledOnceWith(error);
+      expect(state.get('a')).to.equal(1);
+    });
+
+    it('does not throw from constructor on failed sync restore', () => {
+      const error = new Error('migration failed');
+      const onError = sinon.spy();
+      const adapter = new MemoryAdapter();
+
+      adapter.setItem('bamboo-state', { version: 1, data: { '': { a: 2 } } });
+
+      const state = new State({ a: 1 }, {
+        persist: { adapter, version: 2, migrations: { 2: () => { throw error; } }, debounce: 0, onError }
+      });
+
+      state.set('a', 3);
+
+      expect(onError).to.have.been.calledOnceWith(error);
+      expect(adapter.getItem('bamboo-state')).to.deep.equal({ version: 2, data: { '': { a: 3 } } });
+    });
+
+    it('warns about persistence errors by default', async () => {
+      const warnStub = sandbox.stub(console, 'warn');
+      const error = new Error('unavailable');
+      const adapter = new AsyncAdapter({ get: () => Promise.reject(error), set: () => {} });
+      const state = new State({}, { persist: { adapter } });
+
+      await state.persistence.hydrated;
+
+      expect(warnStub).to.have.been.calledWith('Persistence failed', error);
+    });
+  });
+
+  describe('.use(middleware)', () => {
+    it('calls middleware with context before setting value', () => {
+      const middlewareSpy = sinon.spy((context, next) => next());
+      const state = new State({ a: 1 });
+
+      state.use(middlewareSpy);
+      state.set('a', 2, { b: true });
+
+      expect(middlewareSpy).to.have.been.calledOnce;
+      expect(middlewareSpy.getCall(0).args[0]).to.deep.equal({
+        name: 'a', value: 2, oldValue: 1, options: { b: true }, state
+      });
+      expect(state.get('a')).to.equal(2);
+    });
+
+    it('returns the result of set', () => {
+      const state = new State();
+
+      state.use((context, next) => next());
+
+      expect(state.set('a', 1)).to.deep.equal({ name: 'a', value: 1 });
+    });
+
+    it('transforms value before type transformation', () => {
+      const state = new State();
+
+      state.setOptions('a', { type: 'number' });
+      state.use((context, next) => {
+        context.value = `${context.value}0`;
+        return next();
+      });
+      state.set('a', '1');
+
+      expect(state.get('a')).to.equal(10);
+    });
+
+    it('vetoes value when next is not called', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 1 });
+
+      state.subscribe('a', subscribeSpy);
+      state.use(() => {});
+      state.set('a', 2);
+
+      expect(state.get('a')).to.equal(1);
+      expect(subscribeSpy).not.to.have.been.called;
+    });
+
+    it('delays value', async () => {
+      const state = new State({ a: 1 });
+
+      state.use((context, next) => Promise.resolve().then(next));
+
+      const promise = state.set('a', 2);
+
+      expect(state.get('a')).to.equal(1);
+      expect(await promise).to.deep.equal({ name: 'a', value: 2 });
+      expect(state.get('a')).to.equal(2);
+    });
+
+    it('calls middlewares in registration order', () => {
+      const calls = [];
+      const state = new State();
+
+      state.use((context, next) => { calls.push(1); return next(); });
+      state.use((context, next) => { calls.push(2); return next(); });
+      state.set('a', 1);
+
+      expect(calls).to.deep.equal([1, 2]);
+    });
+
+    it('calls middleware for every value of multiple set', () => {
+      const middlewareSpy = sinon.spy((context, next) => next());
+      const state = new State();
+
+      state.use(middlewareSpy);
+      state.set({ a: 1, b: 2 });
+
+      expect(middlewareSpy).to.have.been.calledTwice;
+      expect(middlewareSpy.getCall(1).args[0].name).to.equal('b');
+    });
+
+    it('calls middleware with result of value function', () => {
+      const middlewareSpy = sinon.spy((context, next) => next());
+      const state = new State({ a: 1 });
+
+      state.use(middlewareSpy);
+      state.set('a', value => value + 1, { isFunction: true });
+
+      expect(middlewareSpy.getCall(0).args[0].value).to.equal(2);
+    });
+
+    it('does not call middleware after remove', () => {
+      const middlewareSpy = sinon.spy((context, next) => next());
+      const state = new State();
+
+      state.use(middlewareSpy).remove();
+      state.set('a', 1);
+
+      expect(middlewareSpy).not.to.have.been.called;
+    });
+  });
+
+  describe('.subscribe(pattern, callback)', () => {
+    it('"*" matches one segment', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('users.*.name', subscribeSpy);
+      state.set('users.1.name', 'a');
+      state.set('users.1.age', 2);
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy).to.have.been.calledWith('a', 'users.1.name', {}, sinon.match({ pattern: 'users.*.name', wildcards: ['1'] }));
+    });
+
+    it('"*" matches every changed item', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('users.*.name', subscribeSpy);
+      state.set('users', { 1: { name: 'a', age: 1 }, 2: { name: 'b' } });
+
+      expect(subscribeSpy).to.have.been.calledTwice;
+      expect(subscribeSpy.getCall(0).args.slice(0, 2)).to.deep.equal(['a', 'users.1.name']);
+      expect(subscribeSpy.getCall(1).args.slice(0, 2)).to.deep.equal(['b', 'users.2.name']);
+    });
+
+    it('"*" matches parent of changed value', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('users.*', subscribeSpy);
+      state.set('users.1.name', 'a');
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy).to.have.been.calledWith({ name: 'a' }, 'users.1');
+    });
+
+    it('"**" matches any number of segments', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('items.**', subscribeSpy);
+      state.set('items.1.a', 1);
+      state.set('items', { 2: 2 });
+      state.set('other', 1);
+
+      expect(subscribeSpy).to.have.been.calledTwice;
+      expect(subscribeSpy.getCall(0).args[3]).to.deep.include({ pattern: 'items.**', wildcards: ['1.a'] });
+      expect(subscribeSpy.getCall(1).args[1]).to.equal('items');
+    });
+
+    it('"{}" matches listed segments', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('settings.{theme,locale}', subscribeSpy);
+      state.set('settings.theme', 'dark');
+      state.set('settings.locale', 'en');
+      state.set('settings.other', 1);
+
+      expect(subscribeSpy).to.have.been.calledTwice;
+      expect(subscribeSpy.getCall(1).args[3]).to.deep.include({ pattern: 'settings.{theme,locale}', wildcards: ['locale'] });
+    });
+
+    it('triggering change manually calls callback for every matching path', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ users: { 1: { name: 'a' }, 2: { name: 'b' } } });
+
+      state.subscribe('users.*.name', subscribeSpy);
+      state.triggerSubscriptionCallbacks();
+
+      expect(subscribeSpy).to.have.been.calledTwice;
+    });
+
+    it('does not trigger another call after unsubscribe', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      const subscription = state.subscribe('users.*', subscribeSpy);
+      subscription.unsubscribe();
+      state.set('users.1', 1);
+
+      expect(subscribeSpy).not.to.have.been.called;
+    });
+
+    it('does not trigger another call after unsubscribeAll', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('users.*', subscribeSpy);
+      state.unsubscribeAll('users.*');
+      state.set('users.1', 1);
+
+      expect(subscribeSpy).not.to.have.been.called;
+    });
+  });
+
+  describe('change record', () => {
+    it('contains previous value', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 1 });
+
+      state.subscribe('a', subscribeSpy);
+      state.set('a', 2);
+
+      expect(subscribeSpy.getCall(0).args[3]).to.include({ previousValue: 1 });
+    });
+
+    it('contains previous value of parent', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: { b: 1, c: 1 } });
+
+      state.subscribe('a', subscribeSpy);
+      state.set('a.b', 2);
+      state.set('a.d', 3);
+
+      expect(subscribeSpy.getCall(0).args[0]).to.deep.equal({ b: 2, c: 1, d: 3 });
+      expect(subscribeSpy.getCall(0).args[3].previousValue).to.deep.equal({ b: 1, c: 1 });
+      expect(subscribeSpy.getCall(1).args[3].previousValue).to.deep.equal({ b: 2, c: 1 });
+    });
+
+    it('contains previous value of child', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: { b: 1 } });
+
+      state.subscribe('a.b', subscribeSpy);
+      state.set('a', { b: 2 });
+
+      expect(subscribeSpy.getCall(0).args[3].previousValue).to.equal(1);
+    });
+
+    it('contains previous value of every change in transaction', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: { b: 1, c: 1 } });
+
+      state.subscribe('a', subscribeSpy);
+      state.transaction(() => {
+        state.set('a.b', 2);
+        state.set('a.c', 2);
+        state.set('a.b', 3);
+      });
+
+      expect(subscribeSpy.getCall(0).args[3].previousValue).to.deep.equal({ b: 1, c: 1 });
+    });
+
+    it('contains changed paths', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('a', subscribeSpy);
+      state.set({ a: { b: 1 }, c: 1 });
+      state.set('a.b', 2);
+
+      expect(subscribeSpy.getCall(0).args[3].paths).to.deep.equal(['a']);
+      expect(subscribeSpy.getCall(1).args[3].paths).to.deep.equal(['a.b']);
+    });
+
+    it('contains origin', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({}, { history: true });
+
+      state.subscribe('a', subscribeSpy);
+      state.set('a', 1);
+      state.set({ a: 2 });
+      state.transaction(() => state.set('a', 3));
+      state.triggerSubscriptionCallbacks('a');
+      state.undo();
+      state.redo();
+
+      expect(subscribeSpy.getCalls().map(call => call.args[3].origin)).to.deep.equal([
+        'set', 'batch', 'transaction', 'trigger', 'undo', 'redo'
+      ]);
+    });
+
+    it('contains increasing revision', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('a', subscribeSpy);
+      state.set('a', 1);
+      state.set('b', 1);
+      state.set('a', 2);
+
+      const [first, second] = subscribeSpy.getCalls().map(call => call.args[3].revision);
+
+      expect(second).to.be.above(first);
+    });
+
+    it('contains previous value of computed value', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 1 });
+
+      state.computed('b', ['a'], a => a * 2);
+      state.subscribe('b', subscribeSpy);
+      state.set('a', 2);
+
+      expect(subscribeSpy.getCall(0).args[3]).to.include({ previousValue: 2 });
+    });
+  });
+
+  describe('scheduler', () => {
+    it('calls subscription callbacks synchronously by default', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('a', subscribeSpy);
+      state.set('a', 1);
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+    });
+
+    it('coalesces subscription callbacks in microtask mode', async () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 0 }, { scheduler: 'microtask' });
+
+      state.subscribe('a', subscribeSpy);
+      state.set('a', 1);
+      state.set('a', 2);
+      state.set('b', 1);
+
+      expect(subscribeSpy).not.to.have.been.called;
+
+      await Promise.resolve();
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy).to.have.been.calledWith(2, 'a');
+      expect(subscribeSpy.getCall(0).args[3]).to.deep.include({ previousValue: 0, paths: ['a'] });
+    });
+
+    it('passes options of matching changes only when coalescing', async () => {
+      const subscribeSpy = sinon.spy();
+      const otherSubscribeSpy = sinon.spy();
+      const state = new State({ a: 0, b: {} }, { scheduler: 'microtask' });
+
+      state.subscribe('a', subscribeSpy);
+      state.subscribe('b', otherSubscribeSpy);
+      state.set('a', 1, { action: 'x' });
+      state.set('b.c', 1, { action: 'y' });
+      await Promise.resolve();
+
+      expect(subscribeSpy).to.have.been.calledWith(1, 'a', { action: 'x' });
+      expect(otherSubscribeSpy).to.have.been.calledWith({ c: 1 }, 'b', { action: 'y' });
+    });
+
+    it('calls subscription callbacks with animation frame', () => {
+      const clock = sandbox.useFakeTimers();
+      const subscribeSpy = sinon.spy();
+      const state = new State({}, { scheduler: 'animationFrame' });
+
+      state.subscribe('a', subscribeSpy);
+      state.set('a', 1);
+
+      expect(subscribeSpy).not.to.have.been.called;
+
+      clock.tick(16);
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+    });
+
+    it('calls subscription callbacks with custom scheduler', () => {
+      const callbacks = [];
+      const subscribeSpy = sinon.spy();
+      const state = new State({}, { scheduler: callback => callbacks.push(callback) });
+
+      state.subscribe('a', subscribeSpy);
+      state.set('a', 1);
+      state.set('a', 2);
+
+      expect(callbacks).to.have.length(1);
+
+      callbacks[0]();
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy).to.have.been.calledWith(2, 'a');
+    });
+
+    it('calls subscription callbacks synchronously on flush', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({}, { scheduler: () => {} });
+
+      state.subscribe('a', subscribeSpy);
+      state.set('a', 1);
+      state.flush();
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+
+      state.flush();
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+    });
+  });
+
+  describe('array operations', () => {
+    it('.set keeps array when setting item', () => {
+      const state = new State({ list: [1, 2] });
+
+      state.set('list.0', 3);
+
+      expect(state.get('list')).to.deep.equal([3, 2]);
+    });
+
+    it('.push(name, ...items) appends items', () => {
+      const state = new State({ list: [1] });
+
+      const result = state.push('list', 2, 3);
+
+      expect(state.get('list')).to.deep.equal([1, 2, 3]);
+      expect(result).to.deep.equal({ name: 'list', value: [1, 2, 3] });
+    });
+
+    it('.push(name, ...items) creates array', () => {
+      const state = new State();
+
+      state.push('a.list', 1);
+
+      expect(state.get('a.list')).to.deep.equal([1]);
+    });
+
+    it('.insert(name, index, item) inserts item', () => {
+      const state = new State({ list: [1, 3] });
+
+      state.insert('list', 1, 2);
+
+      expect(state.get('list')).to.deep.equal([1, 2, 3]);
+    });
+
+    it('.remove(name, index) removes item', () => {
+      const state = new State({ list: [1, 2, 3] });
+
+      state.remove('list', 1);
+      state.remove('list', -1);
+
+      expect(state.get('list')).to.deep.equal([1]);
+    });
+
+    it('.remove(name, predicate) removes matching items', () => {
+      const state = new State({ list: [1, 2, 3, 4] });
+
+      state.remove('list', item => item % 2 === 0);
+
+      expect(state.get('list')).to.deep.equal([1, 3]);
+    });
+
+    it('.move(name, from, to) moves item', () => {
+      const state = new State({ list: ['a', 'b', 'c'] });
+
+      state.move('list', 0, 2);
+
+      expect(state.get('list')).to.deep.equal(['b', 'c', 'a']);
+    });
+
+    it('.move(name, from, to) clamps target index', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ list: ['a', 'b', 'c'] });
+
+      state.subscribe('list', subscribeSpy);
+      state.move('list', 0, 10);
+
+      expect(state.get('list')).to.deep.equal(['b', 'c', 'a']);
+      expect(subscribeSpy.getCall(0).args[3].arrayChanges).to.deep.equal([{ operation: 'move', from: 0, to: 2, path: 'list' }]);
+
+      state.move('list', 2, -1);
+
+      expect(state.get('list')).to.deep.equal(['a', 'b', 'c']);
+      expect(subscribeSpy.getCall(1).args[3].arrayChanges).to.deep.equal([{ operation: 'move', from: 2, to: 0, path: 'list' }]);
+    });
+
+    it('.move(name, from, to) ignores out of range index', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ list: [1, 2] });
+
+      state.subscribe('list', subscribeSpy);
+      state.move('list', 10, 0);
+      state.move('list', -1, 0);
+
+      expect(state.get('list')).to.deep.equal([1, 2]);
+      expect(subscribeSpy).to.not.have.been.called;
+    });
+
+    it('.remove(name, indexOrPredicate) skips write when nothing is removed', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ list: [1, 2] });
+
+      state.subscribe('list', subscribeSpy);
+      state.remove('list', 5);
+      state.remove('list', item => item > 2);
+      state.remove('missing', 0);
+
+      expect(state.get()).to.deep.equal({ list: [1, 2] });
+      expect(subscribeSpy).to.not.have.been.called;
+    });
+
+    it('.splice(name, start, deleteCount, ...items) replaces items', () => {
+      const state = new State({ list: [1, 2, 3] });
+
+      state.splice('list', 1, 1, 4, 5);
+
+      expect(state.get('list')).to.deep.equal([1, 4, 5, 3]);
+    });
+
+    it('transforms items with type option', () => {
+      const state = new State();
+
+      state.setOptions('list', { type: 'number' });
+      state.push('list', '1', '2');
+      state.insert('list', 0, '0');
+
+      expect(state.get('list')).to.deep.equal([0, 1, 2]);
+    });
+
+    it('calls subscription callback with array changes', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ list: [1, 2, 3] });
+
+      state.subscribe('list', subscribeSpy);
+      state.push('list', 4);
+      state.remove('list', item => item < 3);
+      state.move('list', 0, 1);
+
+      expect(subscribeSpy).to.have.been.calledThrice;
+      expect(subscribeSpy.getCall(0).args[0]).to.deep.equal([1, 2, 3, 4]);
+      expect(subscribeSpy.getCall(0).args[3].previousValue).to.deep.equal([1, 2, 3]);
+      expect(subscribeSpy.getCall(0).args[3].arrayChanges).to.deep.equal([
+        { path: 'list', operation: 'push', index: 3, removed: [], added: [4] }
+      ]);
+      expect(subscribeSpy.getCall(1).args[3].arrayChanges).to.deep.equal([
+        { path: 'list', operation: 'remove', index: 1, removed: [2], added: [] },
+        { path: 'list', operation: 'remove', index: 0, removed: [1], added: [] }
+      ]);
+      expect(subscribeSpy.getCall(2).args[3].arrayChanges).to.deep.equal([
+        { path: 'list', operation: 'move', from: 0, to: 1 }
+      ]);
+    });
+
+    it('calls middleware with new array', () => {
+      const middlewareSpy = sinon.spy((context, next) => next());
+      const state = new State({ list: [1] });
+
+      state.use(middlewareSpy);
+      state.push('list', 2);
+
+      expect(middlewareSpy.getCall(0).args[0]).to.deep.include({ name: 'list', value: [1, 2], oldValue: [1] });
+    });
+
+    it('can be undone', () => {
+      const state = new State({ list: [1] }, { history: true });
+
+      state.push('list', 2);
+      state.undo();
+
+      expect(state.get('list')).to.deep.equal([1]);
+    });
+  });
+
+  describe('.unset(name, [options])', () => {
+    it('removes key', () => {
+      const state = new State({ a: { b: 1, c: 2 } });
+
+      expect(state.unset('a.b')).to.equal(true);
+      expect(state.get('a')).to.deep.equal({ c: 2 });
+    });
+
+    it('returns false for missing key', () => {
+      const state = new State({ a: 1 });
+
+      expect(state.unset('b')).to.equal(false);
+      expect(state.unset('a.b')).to.equal(false);
+    });
+
+    it('removes empty parents with prune option', () => {
+      const state = new State({ a: { b: { c: 1 } }, d: 1 });
+
+      state.unset('a.b.c', { prune: true });
+
+      expect(state.get()).to.deep.equal({ d: 1 });
+    });
+
+    it('notifies about the highest pruned path', () => {
+      const parentSpy = sinon.spy();
+      const childSpy = sinon.spy();
+      const state = new State({ a: { b: { c: 1 } }, d: 1 }, { history: true });
+
+      state.subscribe('a', parentSpy);
+      state.subscribe('a.b.c', childSpy);
+      state.unset('a.b.c', { prune: true });
+
+      expect(parentSpy).to.have.been.calledOnce;
+      expect(parentSpy).to.have.been.calledWith(undefined, 'a');
+      expect(parentSpy.getCall(0).args[3]).to.include({ origin: 'unset' });
+      expect(parentSpy.getCall(0).args[3].previousValue).to.deep.equal({ b: { c: 1 } });
+      expect(childSpy).to.have.been.calledWith(undefined, 'a.b.c');
+
+      state.undo();
+
+      expect(state.get()).to.deep.equal({ a: { b: { c: 1 } }, d: 1 });
+    });
+
+    it('calls subscription callbacks of subtree', () => {
+      const parentSpy = sinon.spy();
+      const childSpy = sinon.spy();
+      const state = new State({ a: { b: { c: 1 } } });
+
+      state.subscribe('a', parentSpy);
+      state.subscribe('a.b.c', childSpy);
+      state.unset('a.b');
+
+      expect(parentSpy).to.have.been.calledWith({}, 'a');
+      expect(childSpy).to.have.been.calledWith(undefined, 'a.b.c');
+      expect(childSpy.getCall(0).args[3]).to.include({ previousValue: 1, origin: 'unset' });
+    });
+
+    it('can be undone', () => {
+      const state = new State({ a: { b: 1 } }, { history: true });
+
+      state.unset('a.b');
+      state.undo();
+
+      expect(state.get('a')).to.deep.equal({ b: 1 });
+    });
+  });
+
+  describe('.reset([name], [options])', () => {
+    it('restores default value of path', () => {
+      const state = new State({ a: { b: 1, c: 1 }, d: 1 });
+
+      state.set('a', { b: 2, c: 2, e: 2 });
+      state.set('d', 2);
+      state.reset('a');
+
+      expect(state.get()).to.deep.equal({ a: { b: 1, c: 1 }, d: 2 });
+    });
+
+    it('restores default value given with setOptions', () => {
+      const state = new State();
+
+      state.setOptions('a.b', { defaultValue: 1 });
+      state.set('a.b', 2);
+      state.reset('a');
+
+      expect(state.get('a')).to.deep.equal({ b: 1 });
+    });
+
+    it('removes value without default value', () => {
+      const state = new State();
+
+      state.set('a', 1);
+      state.reset('a');
+
+      expect(state.get()).to.deep.equal({});
+    });
+
+    it('restores whole state without name', () => {
+      const state = new State({ a: 1, b: { c: 1 } });
+
+      state.set({ a: 2, b: { c: 2 }, d: 2 });
+      state.reset();
+
+      expect(state.get()).to.deep.equal({ a: 1, b: { c: 1 } });
+    });
+
+    it('calls subscription callbacks', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: { b: 1 } });
+
+      state.set('a.b', 2);
+      state.subscribe('a.b', subscribeSpy);
+      state.reset();
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy).to.have.been.calledWith(1, 'a.b');
+      expect(subscribeSpy.getCall(0).args[3]).to.include({ previousValue: 2, origin: 'reset' });
+    });
+
+    it('can be undone', () => {
+      const state = new State({ a: 1 }, { history: true });
+
+      state.set({ a: 2, b: 2 });
+      state.reset();
+      state.undo();
+
+      expect(state.get()).to.deep.equal({ a: 2, b: 2 });
+    });
+  });
+
+  describe('.resetOptions([name])', () => {
+    it('restores options given in constructor', () => {
+      const state = new State({ a: 1 });
+
+      state.setOptions('a', { defaultValue: 2, type: 'number' });
+      state.resetOptions('a');
+
+      expect(state.getDefaultValue('a')).to.equal(1);
+
+      state.set('a', '3');
+
+      expect(state.get('a')).to.equal('3');
+    });
+
+    it('removes options of subtree', () => {
+      const state = new State();
+
+      state.setOptions('a.b', { type: 'number' });
+      state.setOptions('c', { type: 'number' });
+      state.resetOptions('a');
+      state.set('a.b', '1');
+      state.set('c', '1');
+
+      expect(state.get()).to.deep.equal({ a: { b: '1' }, c: 1 });
+    });
+
+    it('calls subscription callbacks', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: { b: 1 } });
+
+      state.subscribe('a.b', subscribeSpy);
+      state.resetOptions('a');
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy.getCall(0).args[3]).to.include({ origin: 'resetOptions' });
+    });
+  });
+
+  describe('immutable mode', () => {
+    it('creates new objects only along changed path', () => {
+      const state = new State({ a: { b: 1 }, c: { d: 1 } }, { immutable: true });
+      const data = state.get();
+      const c = state.get('c');
+
+      state.set('a.b', 2);
+
+      expect(state.get()).not.to.equal(data);
+      expect(state.get('c')).to.equal(c);
+      expect(data).to.deep.equal({ a: { b: 1 }, c: { d: 1 } });
+    });
+
+    it('keeps reference when value does not change', () => {
+      const state = new State({ a: { b: 1 } }, { immutable: true });
+      const data = state.get();
+
+      state.set('a', { b: 1 });
+
+      expect(state.get()).to.equal(data);
+    });
+
+    it('does not keep reference of the given object', () => {
+      const state = new State({}, { immutable: true });
+      const value = { b: 1 };
+
+      state.set('a', value);
+
+      expect(state.get('a')).not.to.equal(value);
+      expect(Object.isFrozen(value)).to.equal(false);
+    });
+
+    it('freezes values', () => {
+      const state = new State({ a: { b: 1 } }, { immutable: true });
+
+      state.set('c', { d: [1] });
+
+      expect(Object.isFrozen(state.get('a'))).to.equal(true);
+      expect(Object.isFrozen(state.get('c.d'))).to.equal(true);
+    });
+
+    it('does not freeze values with freeze option disabled', () => {
+      const state = new State({ a: { b: 1 } }, { immutable: true, freeze: false });
+
+      expect(Object.isFrozen(state.get('a'))).to.equal(false);
+    });
+
+    it('keeps arrays after setting item', () => {
+      const state = new State({ list: [1, 2] }, { immutable: true });
+
+      state.set('list.1', 3);
+
+      expect(state.get('list')).to.deep.equal([1, 3]);
+    });
+
+    it('works with unset, undo and transaction rollback', () => {
+      const state = new State({ a: { b: 1, c: 1 } }, { immutable: true, history: true });
+
+      state.unset('a.b');
+
+      expect(state.get('a')).to.deep.equal({ c: 1 });
+
+      state.undo();
+
+      expect(state.get('a')).to.deep.equal({ b: 1, c: 1 });
+      expect(() => state.transaction(() => {
+        state.set('a.c', 2);
+        throw new Error('test error');
+      })).to.throw();
+      expect(state.get('a')).to.deep.equal({ b: 1, c: 1 });
+    });
+  });
+
+  describe('.snapshot()', () => {
+    it('returns the same reference in immutable mode', () => {
+      const state = new State({ a: 1 }, { immutable: true });
+
+      const snapshot = state.snapshot();
+
+      expect(snapshot).to.equal(state.get());
+
+      state.set('a', 2);
+
+      expect(snapshot).to.deep.equal({ a: 1 });
+    });
+
+    it('returns copy of data in mutable mode', () => {
+      const state = new State({ a: { b: 1 } });
+
+      const snapshot = state.snapshot();
+
+      state.set('a.b', 2);
+
+      expect(snapshot).to.deep.equal({ a: { b: 1 } });
+    });
+  });
+
+  describe('serialization', () => {
+    class Point {
+      constructor(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+
+      sum() {
+        return this.x + this.y;
+      }
+    }
+
+    State.registerClass('Point', Point);
+
+    it('.serialize() returns JSON string', () => {
+      const state = new State({ a: 1 });
+
+      expect(JSON.parse(state.serialize())).to.deep.equal({
+        data: { a: 1 },
+        options: { a: { defaultValue: 1 } }
+      });
+    });
+
+    it('.toJSON() is used by JSON.stringify', () => {
+      const state = new State({ a: 1 });
+
+      expect(JSON.stringify({ state })).to.equal(`{"state":${state.serialize()}}`);
+    });
+
+    it('.deserialize(payload) round-trips special values', () => {
+      const state = new State();
+      const date = new Date('2020-01-01T00:00:00.000Z');
+
+      state.set('a', {
+        date,
+        map: new Map([['b', new Set([1, 2])]]),
+        set: new Set([date]),
+        bigint: BigInt(10),
+        undefined: undefined,
+        infinity: Infinity,
+        list: [1, undefined],
+        point: new Point(1, 2),
+        tagged: { $type: 'Date' }
+      });
+
+      const result = State.deserialize(state.serialize()).get('a');
+
+      expect(result.date).to.be.instanceOf(Date);
+      expect(result.date.getTime()).to.equal(date.getTime());
+      expect(result.map.get('b')).to.deep.equal(new Set([1, 2]));
+      expect(Array.from(result.set)[0].getTime()).to.equal(date.getTime());
+      expect(result.bigint).to.equal(BigInt(10));
+      expect('undefined' in result).to.equal(true);
+      expect(result.infinity).to.equal(Infinity);
+      expect(result.list).to.deep.equal([1, undefined]);
+      expect(result.point).to.be.instanceOf(Point);
+      expect(result.point.sum()).to.equal(3);
+      expect(result.tagged).to.deep.equal({ $type: 'Date' });
+    });
+
+    it('uses serialize and deserialize functions of registered class', () => {
+      class Money {
+        constructor(amount) {
+          this.amount = amount;
+        }
+      }
+
+      State.registerClass('Money', Money, {
+        serialize: money => `${money.amount}`,
+        deserialize: amount => new Money(Number(amount))
+      });
+
+      const state = new State();
+
+      state.set('a', new Money(5));
+
+      expect(JSON.parse(state.serialize()).data.a).to.deep.equal({ $type: 'Money', value: '5' });
+      expect(State.deserialize(state.serialize()).get('a')).to.deep.equal(new Money(5));
+    });
+
+    it('.deserialize(payload) restores options', () => {
+      const state = new State({ a: 1 });
+
+      state.setOptions('b', { type: 'number', allowedValues: [1, 2] });
+
+      const result = State.deserialize(state.serialize());
+
+      expect(result.getDefaultValue('a')).to.equal(1);
+
+      result.set('b', '2');
+
+      expect(result.get('b')).to.equal(2);
+    });
+
+    it('keeps only registered functions of options', () => {
+      const increase = value => value + 1;
+      const state = new State();
+
+      State.registerFunction('increase', increase);
+      state.setOptions('a', { type: 'custom', function: increase });
+      state.setOptions('b', { type: 'custom', function: value => value });
+
+      const payload = JSON.parse(state.serialize());
+
+      expect(payload.options.a.function).to.deep.equal({ $type: 'Function', value: 'increase' });
+      expect(payload.options.b).to.deep.equal({ type: 'custom' });
+
+      const result = State.deserialize(payload);
+
+      result.set('a', 1);
+      result.set('b', 5);
+
+      expect(result.get('a')).to.equal(2);
+      expect(result.get('b')).to.equal(5);
+    });
+
+    it('.deserialize(payload, config) uses config', () => {
+      const state = new State({ a: { b: 1 } });
+
+      const result = State.deserialize(state.serialize(), { immutable: true });
+
+      expect(Object.isFrozen(result.get('a'))).to.equal(true);
+    });
+  });
+
+  describe('.scope(prefix)', () => {
+    it('gets and sets values relative to prefix', () => {
+      const state = new State({ checkout: { address: { city: 'a' } } });
+      const scope = state.scope('checkout.address');
+
+      expect(scope.get('city')).to.equal('a');
+      expect(scope.get()).to.deep.equal({ city: 'a' });
+      expect(scope.set('zip', 1)).to.deep.equal({ name: 'zip', value: 1 });
+      expect(state.get('checkout.address.zip')).to.equal(1);
+    });
+
+    it('sets multiple values relative to prefix', () => {
+      const state = new State();
+      const scope = state.scope('a');
+
+      const result = scope.set({ b: 1, c: 2 });
+
+      expect(state.get('a')).to.deep.equal({ b: 1, c: 2 });
+      expect(result).to.deep.equal([{ name: 'b', value: 1 }, { name: 'c', value: 2 }]);
+    });
+
+    it('sets options relative to prefix', () => {
+      const state = new State();
+      const scope = state.scope('a');
+
+      scope.setOptions('b', { type: 'number' });
+      state.set('a.b', '1');
+
+      expect(state.get('a.b')).to.equal(1);
+    });
+
+    it('subscribes relative to prefix', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+      const scope = state.scope('a');
+
+      scope.subscribe('b', subscribeSpy);
+      state.set('a.b', 1);
+
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy).to.have.been.calledWith(1, 'b');
+      expect(subscribeSpy.getCall(0).args[3].paths).to.deep.equal(['b']);
+    });
+
+    it('unsubscribes every subscription of prefixed name', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+      const scope = state.scope('a');
+
+      scope.subscribe('b', subscribeSpy);
+      scope.unsubscribeAll('b');
+      state.set('a.b', 1);
+
+      expect(subscribeSpy).not.to.have.been.called;
+    });
+
+    it('composes nested scopes', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+      const scope = state.scope('a').scope('b');
+
+      scope.subscribe('', subscribeSpy);
+      scope.set('c', 1);
+
+      expect(state.get('a.b.c')).to.equal(1);
+      expect(subscribeSpy).to.have.been.calledWith({ c: 1 }, '');
+    });
+
+    it('removes subscriptions of itself and nested scopes on dispose', () => {
+      const subscribeSpy = sinon.spy();
+      const otherSubscribeSpy = sinon.spy();
+      const state = new State();
+      const scope = state.scope('a');
+
+      scope.subscribe('b', subscribeSpy);
+      scope.scope('c').subscribe('d', subscribeSpy);
+      state.subscribe('a', otherSubscribeSpy);
+      scope.dispose();
+      state.set('a', { b: 1, c: { d: 1 } });
+
+      expect(subscribeSpy).not.to.have.been.called;
+      expect(otherSubscribeSpy).to.have.been.calledOnce;
+    });
+  });
+
+  describe('.inspect([options])', () => {
+    it('records mutations', () => {
+      const clock = sandbox.useFakeTimers(1000);
+      const state = new State({ a: 1 });
+      const inspector = state.inspect();
+
+      state.subscribe('a', () => {});
+      state.subscribe('', () => {});
+      state.set('a', 2, { action: 'increase' });
+
+      expect(inspector.getEntries()).to.deep.equal([{
+        timestamp: 1000,
+        name: 'a',
+        oldValue: 1,
+        value: 2,
+        action: 'increase',
+        options: { action: 'increase' },
+        origin: 'set',
+        subscriberCount: 2
+      }]);
+    });
+
+    it('records mutations of every origin', async () => {
+      const state = new State({ a: 1, b: { c: 1 } }, { history: true });
+      const inspector = state.inspect();
+
+      state.set('a', 2);
+      state.unset('b.c');
+      state.undo();
+      state.reset();
+      await state.load('d', () => Promise.resolve(1));
+
+      expect(inspector.getEntries().map(({ name, origin }) => `${origin}:${name}`)).to.deep.equal([
+        'set:a', 'unset:b.c', 'undo:b.c', 'reset:a', 'reset:b', 'load:d', 'load:d'
+      ]);
+    });
+
+    it('does not record writes without change', () => {
+      const state = new State({ a: 1 });
+      const inspector = state.inspect();
+
+      state.set('a', 1);
+
+      expect(inspector.getEntries()).to.have.length(0);
+    });
+
+    it('replays removals', () => {
+      const state = new State({ a: 1, b: 1 });
+      const inspector = state.inspect();
+
+      state.unset('b');
+      state.set('a', 2);
+      inspector.jumpTo(-1);
+      inspector.replay();
+
+      expect(state.get()).to.deep.equal({ a: 2 });
+    });
+
+    it('counts subscribers of transaction', () => {
+      const state = new State();
+      const inspector = state.inspect();
+
+      state.subscribe('a', () => {});
+      state.set({ a: 1, b: 1 });
+
+      expect(inspector.getEntries().map(entry => entry.subscriberCount)).to.deep.equal([1, 0]);
+    });
+
+    it('jumps to recorded state', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 1 });
+      const inspector = state.inspect();
+
+      state.set('a', 2);
+      state.set('a', 3);
+      state.subscribe('a', subscribeSpy);
+
+      expect(inspector.jumpTo(0)).to.equal(true);
+      expect(state.get('a')).to.equal(2);
+      expect(subscribeSpy).to.have.been.calledWith(2, 'a');
+
+      inspector.jumpTo(-1);
+
+      expect(state.get('a')).to.equal(1);
+      expect(inspector.jumpTo(5)).to.equal(false);
+    });
+
+    it('replays recorded mutations', () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State({ a: 1 });
+      const inspector = state.inspect();
+
+      state.set('a', 2);
+      state.set('b', 3);
+      inspector.jumpTo(-1);
+      state.subscribe('', subscribeSpy);
+      inspector.replay();
+
+      expect(state.get()).to.deep.equal({ a: 2, b: 3 });
+      expect(subscribeSpy).to.have.been.calledTwice;
+      expect(inspector.getIndex()).to.equal(1);
+      expect(inspector.getEntries()).to.have.length(2);
+    });
+
+    it('drops entries after current one on new mutation', () => {
+      const state = new State({ a: 1 });
+      const inspector = state.inspect();
+
+      state.set('a', 2);
+      state.set('a', 3);
+      inspector.jumpTo(0);
+      state.set('a', 4);
+
+      expect(inspector.getEntries().map(entry => entry.value)).to.deep.equal([2, 4]);
+    });
+
+    it('keeps entries up to limit', () => {
+      const state = new State({ a: 0 });
+      const inspector = state.inspect({ limit: 2 });
+
+      state.set('a', 1);
+      state.set('a', 2);
+      state.set('a', 3);
+      inspector.jumpTo(-1);
+
+      expect(inspector.getEntries()).to.have.length(2);
+      expect(state.get('a')).to.equal(1);
+    });
+
+    it('stops recording on destroy', () => {
+      const state = new State();
+      const inspector = state.inspect();
+
+      inspector.destroy();
+      state.set('a', 1);
+
+      expect(inspector.getEntries()).to.have.length(0);
+    });
+
+    it('communicates through message port', async () => {
+      const { port1, port2 } = new MessageChannel();
+      const messages = [];
+      const state = new State({ a: 1 });
+      const inspector = state.inspect();
+      const nextMessage = () => new Promise(resolve => port2.addEventListener('message', event => {
+        messages.push(event.data);
+        resolve(event.data);
+      }, { once: true }));
+
+      port2.start();
+
+      try {
+        const connection = inspector.connect(port1);
+
+        expect(await nextMessage()).to.deep.equal({ source: 'bamboo-state-inspector', type: 'init', entries: [], index: -1 });
+
+        state.set('a', new Date(0), { action: 'date' });
+
+        expect(await nextMessage()).to.deep.include({ type: 'entry', index: 0 });
+        expect(messages[1].entry).to.deep.include({
+          name: 'a', action: 'date', value: { $type: 'Date', value: '1970-01-01T00:00:00.000Z' }
+        });
+
+        port2.postMessage({ source: 'bamboo-state-inspector', type: 'jumpTo', index: -1 });
+
+        expect(await nextMessage()).to.deep.include({ type: 'jump', index: -1 });
+        expect(state.get('a')).to.equal(1);
+
+        connection.disconnect();
+      } finally {
+        port1.close();
+        port2.close();
+      }
+    });
+  });
+
+  describe('.sync(channel, [options])', () => {
+    const wait = () => new Promise(resolve => setTimeout(resolve, 10));
+    let channel;
+
+    beforeEach(() => {
+      channel = new MessageChannel();
+    });
+
+    afterEach(() => {
+      channel.port1.close();
+      channel.port2.close();
+    });
+
+    it('mirrors set to other state', async () => {
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+      const otherState = new State();
+
+      state.sync(channel.port1);
+      otherState.sync(channel.port2);
+      otherState.subscribe('a', subscribeSpy);
+      state.set('a.b', new Date(0));
+      await wait();
+
+      expect(otherState.get('a.b')).to.deep.equal(new Date(0));
+      expect(subscribeSpy).to.have.been.calledOnce;
+      expect(subscribeSpy.getCall(0).args[3]).to.include({ origin: 'sync' });
+    });
+
+    it('does not echo mirrored set', async () => {
+      const state = new State();
+      const otherState = new State();
+      const postSpy = sandbox.spy(channel.port2, 'postMessage');
+
+      state.sync(channel.port1);
+      otherState.sync(channel.port2);
+      await wait();
+      postSpy.resetHistory();
+      state.set('a', 1);
+      await wait();
+
+      expect(postSpy).not.to.have.been.called;
+    });
+
+    it('mirrors only given paths', async () => {
+      const state = new State();
+      const otherState = new State();
+
+      state.sync(channel.port1, { paths: ['a'] });
+      otherState.sync(channel.port2, { paths: ['a'] });
+      state.set('a', 1);
+      state.set('b', 1);
+      await wait();
+
+      expect(otherState.get()).to.deep.equal({ a: 1 });
+    });
+
+    it('sends initial state to late joiner', async () => {
+      const state = new State({ a: 1 });
+
+      state.sync(channel.port1);
+      state.set('b', 2);
+      state.set('c.d', 3);
+
+      const otherState = new State({ a: 1, c: { e: 4 } });
+
+      otherState.sync(channel.port2);
+      await wait();
+
+      expect(otherState.get()).to.deep.equal({ a: 1, b: 2, c: { d: 3, e: 4 } });
+      expect(state.get()).to.deep.equal({ a: 1, b: 2, c: { d: 3, e: 4 } });
+    });
+
+    it('keeps the last writer by logical clock', async () => {
+      const state = new State();
+      const otherState = new State();
+
+      state.sync(channel.port1, { id: 'a' });
+      otherState.sync(channel.port2, { id: 'b' });
+      await wait();
+      state.set('a', 1);
+      otherState.set('a', 2);
+      await wait();
+
+      expect(state.get('a')).to.equal(2);
+      expect(otherState.get('a')).to.equal(2);
+
+      state.set('a', 3);
+      await wait();
+
+      expect(otherState.get('a')).to.equal(3);
+    });
+
+    it('uses custom merge function', async () => {
+      const state = new State({ a: 1 });
+      const otherState = new State({ a: 1 });
+
+      state.sync(channel.port1);
+      otherState.sync(channel.port2, { merge: (localValue, remoteValue) => localValue + remoteValue });
+      await wait();
+      state.set('a', 2);
+      await wait();
+
+      expect(otherState.get('a')).to.equal(3);
+    });
+
+    it('sends existing state of synced paths to late joiner', async () => {
+      const state = new State({ settings: { theme: 'dark' } });
+
+      state.set('user', { name: 'John' });
+      state.sync(channel.port1, { paths: ['settings', 'user'] });
+
+      const otherState = new State({ settings: { theme: 'light', size: 2 } });
+
+      otherState.sync(channel.port2, { paths: ['settings', 'user'] });
+      await wait();
+
+      expect(otherState.get()).to.deep.equal({ settings: { theme: 'dark', size: 2 }, user: { name: 'John' } });
+    });
+
+    it('mirrors unset and reset', async () => {
+      const state = new State({ a: 1, b: { c: 1 } });
+      const otherState = new State({ a: 1, b: { c: 1 } });
+
+      state.sync(channel.port1);
+      otherState.sync(channel.port2);
+      await wait();
+      state.set('a', 2);
+      state.unset('b.c');
+      await wait();
+
+      expect(otherState.get()).to.deep.equal({ a: 2, b: {} });
+
+      state.reset();
+      await wait();
+
+      expect(otherState.get()).to.deep.equal({ a: 1, b: { c: 1 } });
+    });
+
+    it('stops mirroring on dispose', async () => {
+      const state = new State();
+      const otherState = new State();
+
+      state.sync(channel.port1).dispose();
+      otherState.sync(channel.port2);
+      state.set('a', 1);
+      await wait();
+
+      expect(otherState.get('a')).to.equal(undefined);
+    });
+  });
+
+  describe('.load(name, fetcher, [options])', () => {
+    it('sets loading then success envelope', async () => {
+      const clock = sandbox.useFakeTimers(1000);
+      const subscribeSpy = sinon.spy();
+      const state = new State();
+
+      state.subscribe('user', subscribeSpy);
+
+      const promise = state.load('user', () => Promise.resolve({ name: 'a' }));
+
+      expect(state.get('user')).to.deep.equal({ status: 'loading', data: undefined, error: null, updatedAt: 1000 });
+
+      const result = await promise;
+
+      expect(result).to.deep.equal({ status: 'success', data: { name: 'a' }, error: null, updatedAt: 1000 });
+      expect(state.get('user')).to.deep.equal(result);
+      expect(subscribeSpy).to.have.been.calledTwice;
+      expect(subscribeSpy.getCall(1).args[3]).to.include({ origin: 'load' });
+    });
+
+    it('sets error envelope', async () => {
+      const state = new State();
+      const error = new Error('test error');
+
+      const result = await state.load('user', () => { throw error; });
+
+      expect(result).to.include({ status: 'error', data: undefined, error });
+    });
+
+    it('replaces data instead of merging', async () => {
+      const state = new State();
+
+      await state.load('user', () => ({ a: 1 }));
+      await state.load('user', () => ({ b: 1 }));
+
+      expect(state.get('user.data')).to.deep.equal({ b: 1 });
+    });
+
+    it('ignores and aborts superseded request', async () => {
+      const state = new State();
+      let signal;
+      let resolveFirst;
+
+      const first = state.load('user', abortSignal => {
+        signal = abortSignal;
+        return new Promise(resolve => { resolveFirst = resolve; });
+      });
+      const second = state.load('user', () => Promise.resolve('second'));
+
+      expect(signal.aborted).to.equal(true);
+
+      await second;
+      resolveFirst('first');
+      await first;
+
+      expect(state.get('user.data')).to.equal('second');
+    });
+
+    it('keeps stale data while revalidating', async () => {
+      const state = new State();
+
+      await state.load('user', () => 'first');
+
+      const promise = state.load('user', () => Promise.resolve('second'), { staleWhileRevalidate: true });
+
+      expect(state.get('user')).to.include({ status: 'loading', data: 'first' });
+
+      await promise;
+
+      expect(state.get('user.data')).to.equal('second');
+    });
+
+    it('returns cached envelope within ttl', async () => {
+      const clock = sandbox.useFakeTimers(1000);
+      const fetcher = sinon.spy(() => 'data');
+      const state = new State();
+
+      await state.load('user', fetcher, { ttl: 100 });
+      clock.tick(50);
+      await state.load('user', fetcher, { ttl: 100 });
+
+      expect(fetcher).to.have.been.calledOnce;
+
+      clock.tick(50);
+      await state.load('user', fetcher, { ttl: 100 });
+
+      expect(fetcher).to.have.been.calledTwice;
+    });
+  });
+
+  describe('.subscribe(name, callback, { equals, selector })', () => {
+    it('skips callback when selected value did not change', () => {
+      const state = new State({ user: { name: 'John', age: 30 } });
+      const callback = sinon.spy();
+
+      state.subscribe('user', callback, { selector: user => user.name });
+      state.set('user.age', 31);
+
+      expect(callback).to.not.have.been.called;
+
+      state.set('user.name', 'Jane');
+
+      expect(callback).to.have.been.calledOnceWith('Jane', 'user');
+    });
+
+    it('compares values shallowly', () => {
+      const state = new State({ filter: { tags: 'a' } });
+      const callback = sinon.spy();
+
+      state.subscribe('filter', callback, { equals: 'shallow' });
+      state.set('filter', { tags: 'a' });
+
+      expect(callback).to.not.have.been.called;
+
+      state.set('filter.tags', 'b');
+
+      expect(callback).to.have.been.calledOnce;
+    });
+
+    it('compares values deeply', () => {
+      const state = new State({ filter: { range: { from: 1 } } });
+      const callback = sinon.spy();
+
+      state.subscribe('filter', callback, { equals: 'deep' });
+      state.set('filter', { range: { from: 1 } });
+
+      expect(callback).to.not.have.been.called;
+
+      state.set('filter.range.from', 2);
+
+      expect(callback).to.have.been.calledOnce;
+    });
+
+    it('accepts custom comparator', () => {
+      const state = new State({ count: 1 });
+      const callback = sinon.spy();
+
+      state.subscribe('count', callback, { equals: (a, b) => Math.floor(a / 10) === Math.floor(b / 10) });
+      state.set('count', 5);
+      state.set('count', 12);
+
+      expect(callback).to.have.been.calledOnceWith(12);
+    });
+
+    it('tracks last value per path for pattern subscriptions', () => {
+      const state = new State({ users: { a: { name: 'A', age: 1 }, b: { name: 'B', age: 2 } } });
+      const callback = sinon.spy();
+
+      state.subscribe('users.*', callback, { selector: user => user.name });
+      state.set('users.a.name', 'C');
+      state.set('users.a.age', 3);
+
+      expect(callback).to.have.been.calledOnceWith('C', 'users.a');
+    });
+
+    it('compares first change of pattern path with its previous value', () => {
+      const state = new State({ users: { a: { name: 'A', age: 1 } } });
+      const callback = sinon.spy();
+
+      state.subscribe('users.*', callback, { selector: user => user.name });
+      state.set('users.a.age', 2);
+      state.set('users.b', { name: 'B' });
+
+      expect(callback).to.have.been.calledOnceWith('B', 'users.b');
+    });
+  });
+
+  describe('.scope(prefix).subscribe(name, callback, { equals, selector })', () => {
+    it('passes options to state subscription', () => {
+      const state = new State({ form: { filter: { tags: ['a'] } } });
+      const scope = state.scope('form');
+      const callback = sinon.spy();
+
+      scope.subscribe('filter', callback, { equals: 'deep' });
+      state.set('form.filter', { tags: ['a'] });
+
+      expect(callback).to.not.have.been.called;
+
+      state.set('form.filter.tags', ['b']);
+
+      expect(callback).to.have.been.calledOnceWith({ tags: ['b'] }, 'filter');
+    });
+  });
+
+  describe('.setOptions(name, { equals })', () => {
+    it('skips write when values are equal by the comparator', () => {
+      const state = new State({ position: { x: 1, y: 2 } });
+      const callback = sinon.spy();
+
+      state.setOptions('position', { equals: 'deep' });
+      state.subscribe('position', callback);
+      state.set('position', { x: 1, y: 2 });
+
+      expect(callback).to.not.have.been.called;
+
+      state.set('position', { x: 2, y: 2 });
+
+      expect(callback).to.have.been.calledOnce;
+    });
+  });
+
+  describe('.select(selector, options)', () => {
+    it('memoizes the result until dependencies change', () => {
+      const state = new State({ items: [1, 2, 3], other: 0 });
+      const selectorFn = sinon.spy(items => items.reduce((sum, item) => sum + item, 0));
+      const selector = state.select(selectorFn, { deps: ['items'] });
+
+      expect(selector.get()).to.equal(6);
+      expect(selector.get()).to.equal(6);
+
+      state.set('other', 1);
+
+      expect(selector.get()).to.equal(6);
+      expect(selectorFn).to.have.been.calledOnce;
+
+      state.push('items', 4);
+
+      expect(selector.get()).to.equal(10);
+      expect(selectorFn).to.have.been.calledTwice;
+    });
+
+    it('selects from whole state without dependencies', () => {
+      const state = new State({ a: 1, b: 2 });
+      const selector = state.select(data => data.a + data.b);
+
+      state.set('a', 3);
+
+      expect(selector.get()).to.equal(5);
+    });
+
+    it('notifies subscribers only when the result changes', () => {
+      const state = new State({ items: [{ done: true }, { done: false }] });
+      const selector = state.select(items => items.filter(item => item.done).length, { deps: ['items'] });
+      const callback = sinon.spy();
+
+      selector.subscribe(callback);
+      state.set('items.1.done', false);
+      state.push('items', { done: false });
+
+      expect(callback).to.not.have.been.called;
+
+      state.set('items.1.done', true);
+
+      expect(callback).to.have.been.calledOnceWith(2, 1);
+    });
+
+    it('keeps previous result when equal by the comparator', () => {
+      const state = new State({ items: [1, 2], limit: 5 });
+      const selector = state.select(items => items.filter(item => item > 1), { deps: ['items'], equals: 'shallow' });
+      const callback = sinon.spy();
+      const result = selector.get();
+
+      selector.subscribe(callback);
+      state.push('items', 0);
+
+      expect(selector.get()).to.equal(result);
+      expect(callback).to.not.have.been.called;
+    });
+
+    it('stops tracking after dispose', () => {
+      const state = new State({ a: 1 });
+      const selector = state.select(a => a * 2, { deps: ['a'] });
+      const callback = sinon.spy();
+
+      selector.subscribe(callback);
+      selector.dispose();
+      state.set('a', 2);
+
+      expect(callback).to.not.have.been.called;
+    });
+  });
+
+  describe('.reactive()', () => {
+    it('reads values through get', () => {
+      const state = new State({ user: { name: 'John', tags: ['a', 'b'] } });
+      const store = state.reactive();
+
+      expect(store.user.name).to.equal('John');
+      expect(store.user.tags.length).to.equal(2);
+      expect(store.user.tags.map(tag => tag.toUpperCase())).to.deep.equal(['A', 'B']);
+      expect(Object.keys(store.user)).to.deep.equal(['name', 'tags']);
+      expect('name' in store.user).to.be.true;
+    });
+
+    it('writes values through set with options', () => {
+      const state = new State({ user: { age: 0 } });
+      const store = state.reactive();
+      const callback = sinon.spy();
+
+      state.setOptions('user.age', { type: 'number' });
+      state.subscribe('user.age', callback);
+      store.user.age = '42';
+
+      expect(state.get('user.age')).to.equal(42);
+      expect(callback).to.have.been.calledOnceWith(42, 'user.age');
+    });
+
+    it('routes array mutations through array operations', () => {
+      const state = new State({ items: [1, 2] });
+      const store = state.reactive();
+      const callback = sinon.spy();
+
+      state.subscribe('items', callback);
+      store.items.push(3);
+      store.items.reverse();
+
+      expect(state.get('items')).to.deep.equal([3, 2, 1]);
+      expect(callback).to.have.been.calledTwice;
+      expect(callback.firstCall.args[3].arrayChanges[0]).to.include({ operation: 'push', index: 2 });
+    });
+
+    it('returns array method results', () => {
+      const state = new State({ items: [1, 2, 3] });
+      const store = state.reactive();
+
+      expect(store.items.push(4, 5)).to.equal(5);
+      expect(store.items.splice(1, 2, 6)).to.deep.equal([2, 3]);
+      expect(store.items.pop()).to.equal(5);
+      expect(state.get('items')).to.deep.equal([1, 6, 4]);
+    });
+
+    it('returns current length when push is vetoed', () => {
+      const state = new State({ items: [1, 2] });
+      const store = state.reactive();
+
+      state.use(() => {});
+
+      expect(store.items.push(3)).to.equal(2);
+      expect(state.get('items')).to.deep.equal([1, 2]);
+    });
+
+    it('unsets deleted properties', () => {
+      const state = new State({ user: { name: 'John', age: 30 } });
+      const store = state.reactive();
+
+      delete store.user.age;
+
+      expect(state.get('user')).to.deep.equal({ name: 'John' });
+    });
+
+    it('assigns reactive values as plain copies', () => {
+      const state = new State({ a: { value: 1 }, b: null });
+      const store = state.reactive();
+
+      store.b = store.a;
+      store.b.value = 2;
+
+      expect(state.get('a.value')).to.equal(1);
+      expect(state.get('b')).to.deep.equal({ value: 2 });
+    });
+  });
+
+  describe('.effect(callback)', () => {
+    it('runs immediately and reruns when read paths change', () => {
+      const state = new State({ user: { name: 'John', age: 30 }, other: 0 });
+      const store = state.reactive();
+      const names = [];
+
+      state.effect(() => names.push(store.user.name));
+      state.set('user.age', 31);
+      state.set('other', 1);
+      state.set('user.name', 'Jane');
+
+      expect(names).to.deep.equal(['John', 'Jane']);
+    });
+
+    it('tracks paths read with get', () => {
+      const state = new State({ a: 1, b: 2 });
+      const callback = sinon.spy(() => state.get('a'));
+
+      state.effect(callback);
+      state.set('b', 3);
+      state.set('a', 2);
+
+      expect(callback).to.have.been.calledTwice;
+    });
+
+    it('updates dependencies on each run', () => {
+      const state = new State({ flag: true, a: 1, b: 2 });
+      const store = state.reactive();
+      const callback = sinon.spy(() => store.flag ? store.a : store.b);
+
+      state.effect(callback);
+      state.set('flag', false);
+      state.set('a', 3);
+
+      expect(callback).to.have.been.calledTwice;
+
+      state.set('b', 4);
+
+      expect(callback).to.have.been.calledThrice;
+    });
+
+    it('runs once per change of multiple read paths', () => {
+      const state = new State({ a: 1, b: 2 });
+      const store = state.reactive();
+      const callback = sinon.spy(() => store.a + store.b);
+
+      state.effect(callback);
+      state.set({ a: 2, b: 3 });
+
+      expect(callback).to.have.been.calledTwice;
+    });
+
+    it('does not track paths read by subscribers of its own writes', () => {
+      const state = new State({ a: 1, b: 0, c: 0 });
+      const store = state.reactive();
+      const callback = sinon.spy(() => { store.b = store.a * 2; });
+
+      state.subscribe('b', () => state.get('c'));
+      state.effect(callback);
+      state.set('c', 1);
+
+      expect(callback).to.have.been.calledOnce;
+      expect(state.get('b')).to.equal(2);
+    });
+
+    it('stops after dispose', () => {
+      const state = new State({ a: 1 });
+      const callback = sinon.spy(() => state.get('a'));
+      const effect = state.effect(callback);
+
+      effect.dispose();
+      state.set('a', 2);
+
+      expect(callback).to.have.been.calledOnce;
+    });
+  });
+
+  describe('.bindElement(element, mapping)', () => {
+    const flush = () => new Promise(resolve => setTimeout(resolve));
+    const definitions = new Map();
+    let observers;
+    let document;
+
+    class FakeMutationObserver {
+      constructor(callback) {
+        this._callback = callback;
+        this._targets = [];
+        this._records = [];
+      }
+
+      observe(target, options) {
+        this._targets = this._targets.filter(item => item.target !== target).concat({ target, options });
+
+        if (!observers.includes(this)) { observers.push(this); }
+      }
+
+      disconnect() {
+        this._targets = [];
+        this._records = [];
+        observers = observers.filter(observer => observer !== this);
+      }
+
+      takeRecords() {
+        const records = this._records;
+
+        this._records = [];
+
+        return records;
+      }
+
+      _matches(target, record) {
+        return this._targets.some(({ target: observed, options }) => {
+          if (record.type === 'attributes') {
+            return observed === target && options.attributes &&
+              (!options.attributeFilter || options.attributeFilter.includes(record.attributeName));
+          }
+
+          return options.childList && (observed === target || (options.subtree && observed.contains(target)));
+        });
+      }
+
+      _enqueue(record) {
+        if (!this._records.length) {
+          Promise.resolve().then(() => {
+            const records = this.takeRecords();
+
+            if (records.length) { this._callback(records, this); }
+          });
+        }
+
+        this._records.push(record);
+      }
+    }
+
+    const notify = (target, record) => {
+      observers.filter(observer => observer._matches(target, record)).forEach(observer => observer._enqueue(record));
+    };
+
+    const react = (element, callback, ...args) => {
+      const definition = definitions.get(element.constructor);
+
+      if (definition && definition[callback]) { definition[callback].call(element, ...args); }
+    };
+
+    const define = ElementClass => {
+      const { prototype } = ElementClass;
+
+      definitions.set(ElementClass, {
+        observedAttributes: ElementClass.observedAttributes || [],
+        attributeChangedCallback: prototype.attributeChangedCallback,
+        disconnectedCallback: prototype.disconnectedCallback
+      });
+    };
+
+    class FakeNode {
+      constructor() {
+        this.ownerDocument = document;
+        this.parentNode = null;
+        this.childNodes = [];
+      }
+
+      get isConnected() {
+        const root = this.getRootNode();
+
+        return root === document || (!!root.host && root.host.isConnected);
+      }
+
+      getRootNode() {
+        return this.parentNode ? this.parentNode.getRootNode() : this;
+      }
+
+      contains(node) {
+        while (node) {
+          if (node === this) { return true; }
+
+          node = node.parentNode;
+        }
+
+        return false;
+      }
+
+      appendChild(child) {
+        child.parentNode = this;
+        this.childNodes.push(child);
+        notify(this, { type: 'childList', target: this, addedNodes: [child], removedNodes: [] });
+
+        return child;
+      }
+
+      removeChild(child) {
+        const isConnected = child.isConnected;
+
+        child.parentNode = null;
+        this.childNodes = this.childNodes.filter(node => node !== child);
+        notify(this, { type: 'childList', target: this, addedNodes: [], removedNodes: [child] });
+
+        if (isConnected) { child._disconnect(); }
+
+        return child;
+      }
+
+      _disconnect() {
+        react(this, 'disconnectedCallback');
+        this.childNodes.forEach(node => node._disconnect());
+      }
+    }
+
+    class FakeElement extends FakeNode {
+      constructor() {
+        super();
+        this.attributes = {};
+      }
+
+      attachShadow() {
+        this.shadowRoot = new FakeNode();
+        this.shadowRoot.host = this;
+
+        return this.shadowRoot;
+      }
+
+      getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+      }
+
+      hasAttribute(name) {
+        return name in this.attributes;
+      }
+
+      setAttribute(name, value) {
+        this._changeAttribute(name, String(value));
+      }
+
+      removeAttribute(name) {
+        this._changeAttribute(name, null);
+      }
+
+      _changeAttribute(name, value) {
+        const oldValue = this.getAttribute(name);
+        const definition = definitions.get(this.constructor);
+
+        if (value === null) {
+          delete this.attributes[name];
+        } else {
+          this.attributes[name] = value;
+        }
+
+        notify(this, { type: 'attributes', target: this, attributeName: name, oldValue });
+
+        if (definition && definition.observedAttributes.includes(name)) {
+          react(this, 'attributeChangedCallback', name, oldValue, value);
+        }
+      }
+    }
+
+    class TestElement extends FakeElement {
+      static get observedAttributes() {
+        return ['open'];
+      }
+    }
+
+    TestElement.prototype.attributeChangedCallback = sinon.spy();
+    TestElement.prototype.disconnectedCallback = sinon.spy();
+    define(TestElement);
+
+    beforeEach(() => {
+      observers = [];
+      document = new FakeNode();
+      global.MutationObserver = FakeMutationObserver;
+      TestElement.prototype.attributeChangedCallback.resetHistory();
+      TestElement.prototype.disconnectedCallback.resetHistory();
+    });
+
+    afterEach(() => {
+      delete global.MutationObserver;
+    });
+
+    it('renders state values to attributes', () => {
+      const state = new State({ dialog: { title: 'Hello', open: true, size: 2 } });
+      const element = new TestElement();
+
+      state.bindElement(element, { title: 'dialog.title', open: 'dialog.open', 'data-size': 'dialog.size' });
+
+      expect(element.attributes).to.deep.equal({ title: 'Hello', open: '', 'data-size': '2' });
+
+      state.set('dialog.open', false);
+      state.set('dialog.title', 'Bye');
+
+      expect(element.attributes).to.deep.equal({ title: 'Bye', 'data-size': '2' });
+    });
+
+    it('sets state from attribute changes with type options', async () => {
+      const state = new State({ dialog: { open: true } });
+      const element = new TestElement();
+
+      state.setOptions('dialog.open', { type: 'boolean' });
+      state.bindElement(element, { open: 'dialog.open' });
+      element.setAttribute('open', 'false');
+      await flush();
+
+      expect(state.get('dialog.open')).to.equal(false);
+      expect(TestElement.prototype.attributeChangedCallback).to.have.been.calledWith('open', '', 'false');
+    });
+
+    it('sets state from attributes not listed in observedAttributes', async () => {
+      const state = new State({ dialog: { title: 'Hello' } });
+      const element = new TestElement();
+
+      state.bindElement(element, { title: 'dialog.title' });
+      element.setAttribute('title', 'Bye');
+      await flush();
+
+      expect(state.get('dialog.title')).to.equal('Bye');
+    });
+
+    it('does not write back its own attribute renders', async () => {
+      const state = new State({ dialog: { title: 'Hello' } });
+      const element = new TestElement();
+      const callback = sinon.spy();
+
+      state.bindElement(element, { title: 'dialog.title' });
+      state.subscribe('dialog.title', callback);
+      state.set('dialog.title', 'Bye');
+      await flush();
+
+      expect(callback).to.have.been.calledOnce;
+    });
+
+    it('does not override lifecycle callbacks on the element', () => {
+      const state = new State({ title: 'a' });
+      const element = new TestElement();
+
+      state.bindElement(element, { title: 'title' });
+
+      expect(Object.prototype.hasOwnProperty.call(element, 'attributeChangedCallback')).to.be.false;
+      expect(Object.prototype.hasOwnProperty.call(element, 'disconnectedCallback')).to.be.false;
+    });
+
+    it('reads initial value from attribute when state is empty', () => {
+      const state = new State();
+      const element = new TestElement();
+
+      element.attributes.count = '5';
+      state.setOptions('counter', { type: 'number' });
+      state.bindElement(element, { count: 'counter' });
+
+      expect(state.get('counter')).to.equal(5);
+    });
+
+    it('binds properties two-way', () => {
+      const state = new State({ list: { items: [1] } });
+      const element = new TestElement();
+
+      state.bindElement(element, { items: { path: 'list.items', property: true } });
+
+      expect(element.items).to.deep.equal([1]);
+
+      element.items = [1, 2];
+
+      expect(state.get('list.items')).to.deep.equal([1, 2]);
+
+      state.set('list.items', [3]);
+
+      expect(element.items).to.deep.equal([3]);
+    });
+
+    it('calls property setter of the element on state change', () => {
+      const setter = sinon.spy();
+      class CustomElement extends TestElement {
+        set value(value) { setter(value); }
+      }
+      const state = new State({ input: 'a' });
+      const element = new CustomElement();
+
+      state.bindElement(element, { value: { path: 'input', property: true } });
+      state.set('input', 'b');
+
+      expect(setter).to.have.been.calledWith('a');
+      expect(setter).to.have.been.calledWith('b');
+    });
+
+    it('unbinds when the element is disconnected', async () => {
+      const state = new State({ title: 'a', items: [] });
+      const container = document.appendChild(new FakeNode());
+      const element = container.appendChild(new TestElement());
+
+      state.bindElement(element, { title: 'title', items: { path: 'items', property: true } });
+      document.removeChild(container);
+      await flush();
+      state.set('title', 'b');
+
+      expect(TestElement.prototype.disconnectedCallback).to.have.been.calledOnce;
+      expect(element.attributes.title).to.equal('a');
+      expect(Object.prototype.hasOwnProperty.call(element, 'items')).to.be.false;
+      expect(observers).to.be.empty;
+    });
+
+    it('unbinds elements bound before insertion', async () => {
+      const state = new State({ title: 'a' });
+      const element = new TestElement();
+
+      state.bindElement(element, { title: 'title' });
+      document.appendChild(element);
+      await flush();
+      document.removeChild(element);
+      await flush();
+      state.set('title', 'b');
+
+      expect(element.attributes.title).to.equal('a');
+    });
+
+    it('unbinds elements in a shadow root when the host is removed', async () => {
+      const state = new State({ title: 'a', label: 'x' });
+      const host = new TestElement();
+      const element = host.attachShadow().appendChild(new TestElement());
+      const otherElement = host.shadowRoot.appendChild(new TestElement());
+
+      state.bindElement(element, { title: 'title' });
+      state.bindElement(otherElement, { label: 'label' });
+      document.appendChild(host);
+      await flush();
+      host.shadowRoot.removeChild(otherElement);
+      await flush();
+      state.set('label', 'y');
+
+      expect(otherElement.attributes.label).to.equal('x');
+
+      document.removeChild(host);
+      await flush();
+      state.set('title', 'b');
+
+      expect(element.attributes.title).to.equal('a');
+    });
+
+    it('shares one connection observer per document', () => {
+      const state = new State({ title: 'a' });
+      const elements = [new TestElement(), new TestElement(), new TestElement()];
+
+      elements.forEach(element => state.bindElement(element, { title: 'title' }));
+
+      expect(observers.filter(observer => observer._targets.some(({ options }) => options.childList))).to.have.length(1);
+    });
+
+    it('stays bound when the element is moved', async () => {
+      const state = new State({ title: 'a' });
+      const element = document.appendChild(new TestElement());
+      const container = document.appendChild(new FakeNode());
+
+      state.bindElement(element, { title: 'title' });
+      document.removeChild(element);
+      container.appendChild(element);
+      await flush();
+      state.set('title', 'b');
+
+      expect(element.attributes.title).to.equal('b');
+    });
+
+    it('unbinds manually', async () => {
+      const state = new State({ title: 'a' });
+      const element = new TestElement();
+      const binding = state.bindElement(element, { title: 'title' });
+
+      binding.unbind();
+      state.set('title', 'b');
+      element.setAttribute('title', 'c');
+      await flush();
+
+      expect(state.get('title')).to.equal('b');
+    });
+  });
+
+  describe('types', () => {
+    it('parses date values', () => {
+      const state = new State();
+
+      state.setOptions('a', { type: 'date' });
+      state.set('a', '2020-01-02T00:00:00.000Z');
+
+      expect(state.get('a')).to.be.instanceOf(Date);
+      expect(state.get('a').getTime()).to.equal(Date.UTC(2020, 0, 2));
+    });
+
+    it('falls back to defaultValue on invalid date', () => {
+      const state = new State();
+      const defaultValue = new Date(0);
+
+      state.setOptions('a', { type: 'date', defaultValue });
+      const result = state.set('a', 'not a date');
+
+      expect(state.get('a')).to.equal(defaultValue);
+      expect(result.errors).to.deep.equal([{ path: 'a', value: 'not a date', rule: 'type', expected: 'date' }]);
+    });
+
+    it('parses string values', () => {
+      const state = new State();
+
+      state.setOptions('a', { type: 'string' });
+      state.set('a', 12);
+
+      expect(state.get('a')).to.equal('12');
+    });
+
+    it('validates enum values', () => {
+      const state = new State();
+
+      state.setOptions('a', { type: 'enum<small|large>' });
+      state.setOptions('b', { type: { type: 'enum', values: [1, 2] }, defaultValue: 1 });
+      state.set('a', 'large');
+      state.set('b', 3);
+
+      expect(state.get('a')).to.equal('large');
+      expect(state.get('b')).to.equal(1);
+    });
+
+    it('reports type error for enum without values', () => {
+      const state = new State();
+      const errorSpy = sinon.spy();
+
+      state.onValidationError(errorSpy);
+      state.setOptions('a', { type: 'enum', defaultValue: 'small' });
+
+      expect(() => state.set('a', 'large')).to.not.throw();
+      expect(state.get('a')).to.equal('small');
+      expect(errorSpy).to.have.been.calledOnce;
+    });
+
+    it('parses array operation items with the item type', () => {
+      const state = new State({ list: [] });
+
+      state.setOptions('list', { type: 'array<number>' });
+      state.push('list', '5');
+      state.insert('list', 0, '1');
+      state.splice('list', 1, 0, '3');
+
+      expect(state.get('list')).to.deep.equal([1, 3, 5]);
+    });
+
+    it('composes array and nullable types', () => {
+      const state = new State();
+
+      state.setOptions('a', { type: 'array<nullable<integer>>' });
+      state.set('a', ['1', null, '3.5']);
+
+      expect(state.get('a')).to.deep.equal([1, null, 3]);
+    });
+
+    it('parses array from json string', () => {
+      const state = new State();
+
+      state.setOptions('a', { type: 'array<boolean>' });
+      state.set('a', '["false", true]');
+
+      expect(state.get('a')).to.deep.equal([false, true]);
+    });
+
+    it('parses object properties', () => {
+      const state = new State();
+
+      state.setOptions('user', { type: { type: 'object', properties: { age: 'number', born: 'nullable<date>' } } });
+      state.set('user', { name: 'John', age: '30', born: null });
+
+      expect(state.get('user')).to.deep.equal({ name: 'John', age: 30, born: null });
+    });
+
+    it('reports error for invalid nested values', () => {
+      const state = new State();
+
+      state.setOptions('a', { type: 'array<number>' });
+      const result = state.set('a', ['x']);
+
+      expect(state.get('a')).to.deep.equal([0]);
+      expect(result.errors).to.deep.equal([{ path: 'a', value: ['x'], rule: 'type', expected: 'number' }]);
+    });
+
+    it('works with allowedValues', () => {
+      const state = new State();
+
+      state.setOptions('a', { type: 'integer', allowedValues: [1, 2], defaultValue: 2 });
+      state.set('a', '1');
+
+      expect(state.get('a')).to.equal(1);
+
+      state.set('a', '5');
+
+      expect(state.get('a')).to.equal(2);
+    });
+
+    describe('State.registerType(name, definition)', () => {
+      before(() => {
+        State.registerType('money', {
+          parse: value => typeof value === 'string' ? Math.round(parseFloat(value) * 100) : value,
+          validate: value => Number.isInteger(value),
+          serialize: value => (value / 100).toFixed(2)
+        });
+      });
+
+      it('uses registered type across instances', () => {
+        const first = new State();
+        const second = new State();
+
+        first.setOptions('price', { type: 'money' });
+        second.setOptions('prices', { type: 'array<money>' });
+        first.set('price', '1.5');
+        second.set('prices', ['2', '0.25']);
+
+        expect(first.get('price')).to.equal(150);
+        expect(second.get('prices')).to.deep.equal([200, 25]);
+      });
+
+      it('serializes bound attributes with the type', () => {
+        const state = new State({ price: 150 });
+        const element = { setAttribute: sinon.spy(), removeAttribute: () => {}, hasAttribute: () => false };
+
+        state.setOptions('price', { type: 'money' });
+        state.bindElement(element, { price: 'price' });
+
+        expect(element.setAttribute).to.have.been.calledWith('price', '1.50');
+      });
+    });
+  });
+
+  describe('paths', () => {
+    it('stores keys containing dots with bracket notation', () => {
+      const state = new State();
+
+      state.set('users["john@example.com"].name', 'John');
+
+      expect(state.get()).to.deep.equal({ users: { 'john@example.com': { name: 'John' } } });
+      expect(state.get('users["john@example.com"]')).to.deep.equal({ name: 'John' });
+    });
+
+    it('supports escaped dots', () => {
+      const state = new State();
+
+      state.set('files.index\\.html', 1);
+
+      expect(state.get('files')).to.deep.equal({ 'index.html': 1 });
+      expect(state.get(['files', 'index.html'])).to.equal(1);
+    });
+
+    it('supports array indexes in brackets', () => {
+      const state = new State({ list: [{ a: 1 }, { a: 2 }] });
+
+      state.set('list[1].a', 3);
+
+      expect(state.get('list[1]')).to.deep.equal({ a: 3 });
+      expect(state.get('list.1.a')).to.equal(3);
+      expect(state.get('list')).to.be.an('array');
+    });
+
+    it('creates missing arrays for bracket indexes', () => {
+      const state = new State();
+
+      state.set('list[0]', 'x');
+      state.set('grid[1][0].a', 1);
+      state.set('map.0', 'y');
+      state.set('keys["0"]', 'z');
+
+      expect(state.get('list')).to.deep.equal(['x']);
+      expect(state.get('grid')).to.be.an('array');
+      expect(state.get('grid[1]')).to.deep.equal([{ a: 1 }]);
+      expect(state.get('map')).to.deep.equal({ 0: 'y' });
+      expect(state.get('keys')).to.deep.equal({ 0: 'z' });
+    });
+
+    it('creates missing arrays for bracket indexes in immutable mode', () => {
+      const state = new State({}, { immutable: true });
+
+      state.set('list[1]', 'x');
+
+      expect(state.get('list')).to.be.an('array').with.length(2);
+    });
+
+    it('supports array-form paths', () => {
+      const state = new State();
+
+      state.set(['urls', 'https://example.com'], 'home');
+
+      expect(state.get('urls')).to.deep.equal({ 'https://example.com': 'home' });
+    });
+
+    it('calls subscriptions with canonical names', () => {
+      const state = new State();
+      const subscribeSpy = sinon.spy();
+      const siblingSpy = sinon.spy();
+
+      state.subscribe('files["a.txt"]', subscribeSpy);
+      state.subscribe('files.a', siblingSpy);
+      state.set(['files', 'a.txt'], 1);
+
+      expect(subscribeSpy).to.have.been.calledOnceWith(1, 'files.a\\.txt');
+      expect(siblingSpy).to.not.have.been.called;
+    });
+
+    it('accepts array-form paths in subscription lists', () => {
+      const state = new State();
+      const subscribeSpy = sinon.spy();
+
+      state.subscribe([['a', 'b.c'], 'd'], subscribeSpy);
+      state.set('a["b.c"]', 1);
+      state.set('d', 2);
+
+      expect(subscribeSpy).to.have.been.calledTwice;
+    });
+
+    it('matches patterns against keys containing dots', () => {
+      const state = new State({ users: {} });
+      const subscribeSpy = sinon.spy();
+
+      state.subscribe('users.*.name', subscribeSpy);
+      state.set('users["john@example.com"].name', 'John');
+
+      expect(subscribeSpy).to.have.been.calledWith('John', 'users.john@example\\.com.name', {}, sinon.match({ wildcards: ['john@example.com'] }));
+    });
+
+    it('applies options to escaped paths', () => {
+      const state = new State();
+
+      state.setOptions('sizes["a.b"]', { type: 'number' });
+      state.set('sizes.a\\.b', '2');
+      state.set('sizes.a', { b: '3' });
+
+      expect(state.get()).to.deep.equal({ sizes: { 'a.b': 2, a: { b: '3' } } });
+    });
+
+    it('unsets keys containing dots', () => {
+      const state = new State({ files: { 'a.txt': 1, b: 2 } });
+
+      expect(state.unset('files["a.txt"]')).to.be.true;
+      expect(state.get('files')).to.deep.equal({ b: 2 });
+    });
+
+    it('sets array-form paths in scopes', () => {
+      const state = new State();
+      const scope = state.scope('a');
+
+      scope.set(['x.y'], 5);
+
+      expect(state.get()).to.deep.equal({ a: { 'x.y': 5 } });
+    });
+
+    it('resolves scoped paths', () => {
+      const state = new State();
+      const scope = state.scope('hosts["example.com"]');
+
+      scope.set('visits', 1);
+
+      expect(state.get(['hosts', 'example.com', 'visits'])).to.equal(1);
+      expect(scope.get('visits')).to.equal(1);
+    });
+
+    it('throws on unterminated brackets', () => {
+      const state = new State();
+
+      expect(() => state.get('a["b')).to.throw('Invalid path: a["b');
+    });
+  });
+
+  describe('subscription registry', () => {
+    it('removes unsubscribed entries', () => {
+      const state = new State();
+      const subscriptions = [state.subscribe('a.b', () => {}), state.subscribe(['a', 'c.*'], () => {})];
+
+      expect(state._registry.size).to.equal(3);
+
+      subscriptions.forEach(subscription => subscription.unsubscribe());
+
+      expect(state._registry.size).to.equal(0);
+      expect(state._registry._root.children.size).to.equal(0);
+    });
+
+    it('calls callbacks in subscription order', () => {
+      const state = new State();
+      const calls = [];
+
+      state.subscribe('a.b', () => calls.push('a.b'));
+      state.subscribe('a', () => calls.push('a'));
+      state.subscribe('a.*', () => calls.push('a.*'));
+      state.subscribe('', () => calls.push('root'));
+      state.set('a.b', 1);
+
+      expect(calls).to.deep.equal(['a.b', 'a', 'a.*', 'root']);
+    });
+
+    it('notifies ancestors and modified descendants only', () => {
+      const state = new State({ a: { b: { c: 1 }, d: 1 } });
+      const calls = [];
+
+      ['a', 'a.b.c', 'a.d', 'a.b.c.e', 'b'].forEach(name => state.subscribe(name, () => calls.push(name)));
+      state.set('a.b', { c: 2 });
+
+      expect(calls).to.deep.equal(['a', 'a.b.c']);
+    });
+
+    it('skips subscriptions removed during dispatch', () => {
+      const state = new State();
+      const callback = sinon.spy();
+      let subscription;
+
+      state.subscribe('a', () => subscription.unsubscribe());
+      subscription = state.subscribe('a', callback);
+      state.set('a', 1);
+
+      expect(callback).to.not.have.been.called;
+    });
+
+    it('unsubscribes all subscriptions of a name', () => {
+      const state = new State();
+      const callback = sinon.spy();
+
+      state.subscribe('a', callback);
+      state.subscribe(['a', 'b'], callback);
+      state.unsubscribeAll('a');
+      state.set({ a: 1, b: 2 });
+
+      expect(callback).to.have.been.calledOnceWith(2, 'b');
+    });
+  });
+
+  describe('options cache', () => {
+    it('updates options after setOptions', () => {
+      const state = new State();
+
+      state.set('a', '1');
+      state.setOptions('a', { type: 'number' });
+      state.set('a', '2');
+
+      expect(state.get('a')).to.equal(2);
+    });
+
+    it('caches options by option path only', () => {
+      const state = new State();
+
+      state.setOptions('rows', { type: 'number' });
+
+      for (let index = 0; index < 100; ++index) {
+        state.set(`rows.${index}`, String(index));
+        state.set(`other.${index}`, index);
+      }
+
+      expect(state.get('rows.99')).to.equal(99);
+      expect(state._optionsCache.size).to.equal(2);
+    });
+
+    it('restores options on transaction rollback', () => {
+      const state = new State();
+
+      expect(() => state.transaction(() => {
+        state.setOptions('a', { type: 'number' });
+        state.set('a', '1');
+        throw new Error('fail');
+      })).to.throw('fail');
+
+      state.set('a', '2');
+
+      expect(state.get('a')).to.equal('2');
+    });
+  });
+
+  describe('access control', () => {
+    context('readonly', () => {
+      it('throws on write by default', () => {
+        const state = new State({ config: { api: 'a' } });
+
+        state.setOptions('config', { readonly: true });
+
+        expect(() => state.set('config.api', 'b')).to.throw('Cannot write "config.api": "config" is readonly');
+        expect(() => state.set('config', {})).to.throw();
+        expect(() => state.set('', {})).to.throw();
+        expect(state.get('config.api')).to.equal('a');
+      });
+
+      it('protects readonly descendants from parent writes', () => {
+        const state = new State({ app: { config: 1, title: 'a' } });
+
+        state.setOptions('app.config', { readonly: true });
+        state.set('app.title', 'b');
+
+        expect(() => state.set('app', { config: 2 })).to.throw();
+        expect(state.get('app')).to.deep.equal({ config: 1, title: 'b' });
+      });
+
+      it('rejects with errors in reject policy', () => {
+        const state = new State({ config: { api: 'a' } }, { access: 'reject' });
+        const subscribeSpy = sinon.spy();
+
+        state.setOptions('config', { readonly: true });
+        state.subscribe('config', subscribeSpy);
+        const result = state.set('config.api', 'b');
+
+        expect(result).to.deep.equal({
+          name: 'config.api',
+          value: 'a',
+          errors: [{ path: 'config.api', value: 'b', rule: 'readonly', expected: 'config' }]
+        });
+        expect(state.unset('config.api')).to.be.false;
+        expect(state.get('config.api')).to.equal('a');
+        expect(subscribeSpy).to.not.have.been.called;
+      });
+
+      it('accepts policy per path', () => {
+        const state = new State({ config: { api: 'a' } });
+
+        state.setOptions('config', { readonly: true, access: 'reject' });
+
+        expect(() => state.push('config.list', 1)).to.not.throw();
+        expect(state.get('config')).to.deep.equal({ api: 'a' });
+      });
+
+      it('keeps readonly paths on reset', () => {
+        const state = new State({ config: 1, count: 0 }, { access: 'reject' });
+
+        state.setOptions('config', { readonly: true });
+        state.set('count', 2);
+        state.reset();
+
+        expect(state.get()).to.deep.equal({ config: 1, count: 0 });
+      });
+
+      it('skips readonly paths on full reset in throw policy', () => {
+        const state = new State({ config: 1, count: 0 });
+
+        state.setOptions('config', { readonly: true });
+        state.set('count', 2);
+
+        expect(() => state.reset()).to.not.throw();
+        expect(state.get()).to.deep.equal({ config: 1, count: 0 });
+      });
+
+      it('checks access before writing default values', () => {
+        const state = new State({ config: { api: 'a' } });
+
+        state.setOptions('config', { readonly: true });
+
+        expect(() => state.set('config.other', 1, { defaultValue: 2 })).to.throw('"config" is readonly');
+        expect(() => state.setOptions('config.newKey', { defaultValue: 5 })).to.throw('"config" is readonly');
+        expect(state.get('config')).to.deep.equal({ api: 'a' });
+      });
+
+      it('keeps access options on setOptions and resetOptions', () => {
+        const state = new State({ config: '{"api":"a"}' });
+
+        state.setOptions('config', { readonly: true });
+        state.setOptions('config', { type: 'json' });
+
+        expect(() => state.set('config', '{"api":"b"}')).to.throw('"config" is readonly');
+
+        state.resetOptions('config');
+
+        expect(() => state.set('config', '{"api":"b"}')).to.throw('"config" is readonly');
+        expect(state.get('config')).to.equal('{"api":"a"}');
+      });
+    });
+
+    context('lockable', () => {
+      it('blocks writes while locked', () => {
+        const state = new State({ config: { api: 'a' } });
+
+        state.setOptions('config', { lockable: true });
+        const token = state.lock('config');
+
+        expect(state.isLocked('config.api')).to.be.true;
+        expect(() => state.set('config.api', 'b')).to.throw('Cannot write "config.api": "config" is locked');
+
+        state.unlock('config', token);
+        state.set('config.api', 'b');
+
+        expect(state.isLocked('config.api')).to.be.false;
+        expect(state.get('config.api')).to.equal('b');
+      });
+
+      it('allows writes with the lock token', () => {
+        const state = new State({ config: { api: 'a' } });
+
+        state.setOptions('config', { lockable: true });
+        const token = state.lock('config');
+        state.set('config.api', 'b', { token });
+
+        expect(state.get('config.api')).to.equal('b');
+      });
+
+      it('throws on invalid lock operations', () => {
+        const state = new State();
+
+        state.setOptions('config', { lockable: true });
+
+        expect(() => state.lock('other')).to.throw('Path "other" is not lockable');
+
+        state.lock('config');
+
+        expect(() => state.lock('config')).to.throw('Path "config" is already locked');
+        expect(() => state.unlock('config', Symbol())).to.throw('Invalid token for "config"');
+      });
+    });
+
+    context('guard', () => {
+      it('calls predicate with name, value and context', () => {
+        const guard = sinon.spy((name, value) => value >= 0);
+        const state = new State({ counter: { value: 0 } }, { access: 'reject' });
+
+        state.setOptions('counter', { guard });
+        state.set('counter.value', 1);
+        const result = state.set('counter.value', -1);
+
+        expect(state.get('counter.value')).to.equal(1);
+        expect(result.errors[0]).to.include({ rule: 'guard', expected: 'counter' });
+        expect(guard).to.have.been.calledWith('counter.value', 1, sinon.match({ oldValue: 0, origin: 'set' }));
+      });
+
+      it('passes write options to predicate', () => {
+        const state = new State({ settings: {} });
+
+        state.setOptions('settings', { guard: (name, value, { options }) => options.role === 'admin' });
+        state.set('settings.theme', 'dark', { role: 'admin' });
+
+        expect(() => state.set('settings.theme', 'light')).to.throw('Cannot write "settings.theme": "settings" is guarded');
+        expect(state.get('settings.theme')).to.equal('dark');
+      });
+    });
+
+    context('internal writes', () => {
+      it('does not undo or redo protected paths', () => {
+        const state = new State({ config: 1, count: 0 }, { history: true, access: 'reject' });
+
+        state.set('config', 2);
+        state.set('count', 1);
+        state.setOptions('config', { lockable: true });
+        const token = state.lock('config');
+
+        expect(state.undo()).to.be.true;
+        expect(state.undo()).to.be.false;
+        expect(state.get()).to.deep.equal({ config: 2, count: 0 });
+
+        state.unlock('config', token);
+        state.setOptions('config', { readonly: true });
+
+        expect(state.undo()).to.be.false;
+        expect(state.get('config')).to.equal(2);
+        expect(state.canUndo()).to.be.true;
+      });
+
+      it('throws on undo of protected path in throw policy', () => {
+        const state = new State({ config: 1 }, { history: true });
+
+        state.set('config', 2);
+        state.setOptions('config', { readonly: true });
+
+        expect(() => state.undo()).to.throw('Cannot write "config": "config" is readonly');
+        expect(state.canUndo()).to.be.true;
+      });
+
+      it('ignores remote writes to locked paths', async () => {
+        const channel = new MessageChannel();
+        const state = new State({ config: 1 });
+        const otherState = new State({ config: 1 });
+
+        otherState.setOptions('config', { lockable: true });
+        state.sync(channel.port1);
+        otherState.sync(channel.port2);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        otherState.lock('config');
+        state.set('config', 2);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        channel.port1.close();
+        channel.port2.close();
+
+        expect(otherState.get('config')).to.equal(1);
+      });
+
+      it('keeps protected paths on inspector jumps and replay', () => {
+        const state = new State({ config: 1, count: 0 });
+        const inspector = state.inspect();
+
+        state.set('config', 2);
+        state.set('count', 1);
+        state.setOptions('config', { readonly: true });
+        inspector.jumpTo(-1);
+
+        expect(state.get()).to.deep.equal({ config: 2, count: 0 });
+
+        inspector.replay();
+
+        expect(state.get()).to.deep.equal({ config: 2, count: 1 });
+      });
+
+      it('does not write load result after lock', async () => {
+        const state = new State({}, { access: 'reject' });
+        let resolveFetch;
+
+        state.setOptions('user', { lockable: true });
+        const promise = state.load('user', () => new Promise(resolve => { resolveFetch = resolve; }));
+        state.lock('user');
+        resolveFetch('data');
+        await promise;
+
+        expect(state.get('user.status')).to.equal('loading');
+      });
+
+      it('accepts lock token in array operations', () => {
+        const state = new State({ list: [1, 2, 3] });
+
+        state.setOptions('list', { lockable: true });
+        const token = state.lock('list');
+        state.insert('list', 0, 0, { token });
+        state.remove('list', 1, { token });
+        state.move('list', 0, 2, { token });
+        state.transaction(() => {
+          state.push('list', 4);
+          state.splice('list', 0, 1);
+        }, { token });
+
+        expect(state.get('list')).to.deep.equal([3, 0, 4]);
+        expect(() => state.push('list', 5)).to.throw('Cannot write "list": "list" is locked');
+      });
+    });
+  });
+
+  describe('strict mode', () => {
+    beforeEach(() => {
+      sandbox.stub(console, 'warn');
+    });
+
+    it('warns on undeclared paths', () => {
+      const state = new State({ user: { name: 'John' }, items: [], filters: {} }, { strict: true });
+
+      state.get('user.name');
+      state.get('user');
+      state.set('items.0', 1);
+      state.set('filters.active', true);
+      state.subscribe('user.name', () => {});
+
+      expect(console.warn).to.not.have.been.called;
+
+      state.get('user.nmae');
+      state.set('usr', 1);
+      state.subscribe('user.age', () => {});
+
+      expect(console.warn).to.have.been.calledThrice;
+      expect(console.warn).to.have.been.calledWith('Undeclared path "user.nmae"');
+      expect(console.warn).to.have.been.calledWith('Undeclared path "usr"');
+      expect(console.warn).to.have.been.calledWith('Undeclared path "user.age"');
+    });
+
+    it('treats paths of setOptions and computed values as declared', () => {
+      const state = new State({ a: 1 }, { strict: true });
+
+      state.setOptions('b.c', { type: 'number' });
+      state.computed('double', ['a'], a => a * 2);
+      state.set('b.c', '1');
+      state.get('double');
+
+      expect(console.warn).to.not.have.been.called;
+    });
+
+    it('declares defaults before persistence subscribes', () => {
+      const state = new State({ user: { name: 'John' } }, { strict: 'throw', persist: { paths: ['user'] } });
+
+      expect(state.get('user.name')).to.equal('John');
+      expect(console.warn).to.not.have.been.called;
+    });
+
+    it('warns once per message', () => {
+      const state = new State({}, { strict: true });
+
+      state.get('a');
+      state.get('a');
+
+      expect(console.warn).to.have.been.calledOnce;
+    });
+
+    it('throws in throw mode', () => {
+      const state = new State({ a: 1 }, { strict: 'throw' });
+
+      expect(() => state.set('b', 1)).to.throw('Undeclared path "b"');
+      expect(state.get()).to.deep.equal({ a: 1 });
+    });
+
+    it('warns on duplicate subscribers', () => {
+      const state = new State({ a: 1 }, { strict: true });
+      const callback = () => {};
+
+      state.subscribe('a', callback);
+      state.subscribe('a', () => {});
+      state.subscribe('a', callback);
+
+      expect(console.warn).to.have.been.calledOnceWith('Callback is already subscribed to "a"');
+    });
+
+    it('warns when object is replaced with a primitive', () => {
+      const state = new State({ user: { name: 'John' } }, { strict: true });
+
+      state.set('user', null);
+      state.set('user', { name: 'Jane' });
+      state.set('user', 'Jane');
+
+      expect(console.warn).to.have.been.calledOnceWith('Replacing object at "user" with a primitive value');
+    });
+
+    it('does not warn on subscribers not created by disposed scope', () => {
+      const state = new State({ form: { name: '' } }, { strict: 'throw' });
+      const scope = state.scope('form');
+
+      scope.subscribe('name', () => {});
+      state.subscribe('form.name', () => {});
+
+      expect(() => scope.dispose()).to.not.throw();
+      expect(console.warn).to.not.have.been.called;
+    });
+
+    it('warns on subscribing through disposed scope', () => {
+      const state = new State({ form: { name: '' } }, { strict: true });
+      const scope = state.scope('form');
+
+      scope.dispose();
+      scope.subscribe('name', () => {});
+
+      expect(console.warn).to.have.been.calledOnceWith('Subscribing to "form.name" after scope "form" was disposed');
+    });
+
+    it('does not check paths without strict mode', () => {
+      const state = new State();
+      const callback = () => {};
+
+      state.set('a', { b: 1 });
+      state.set('a', 1);
+      state.subscribe('c', callback);
+      state.subscribe('c', callback);
+
+      expect(console.warn).to.not.have.been.called;
+    });
+  });
 });